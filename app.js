@@ -1,870 +1,326 @@
 /**
  * ICE VISUALIZER - Cyberpunk Neural Network Visualization
  * Built with Three.js and WebGL
+ *
+ * The stock page: HUD, control bar, panels, keyboard shortcuts, files, share
+ * links and URL parameters, built on one createIceVisualizer() instance
+ * (ice-visualizer.js) through its methods and events only.
  */
 
-import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-
-// === Configuration ===
-const CONFIG = {
-  nodeCount: 80,
-  connectionDistance: 3.5,
-  nodeSize: 0.08,
-  coreSize: 0.15,
-  fieldSize: 8,
-  rotationSpeed: 0.0003,
-  pulseSpeed: 0.02,
-  colors: {
-    cyan: 0x02d7f2,
-    magenta: 0xff00aa,
-    yellow: 0xffeb0b,
-    white: 0xffffff,
-    background: 0x000008
-  }
-};
-
-// === Visualization Presets ===
-const VIZ_PRESETS = {
-  neural: {
-    name: 'Neural Network',
-    particleCount: 500,
-    particleSize: 0.03,
-    particleSpeed: 0.0002,
-    nodeCount: 80,
-    connectionDistance: 3.5,
-    colors: { primary: 0x02d7f2, secondary: 0xff00aa, accent: 0xffeb0b }
-  },
-  storm: {
-    name: 'Data Storm',
-    particleCount: 2000,
-    particleSize: 0.02,
-    particleSpeed: 0.003,
-    nodeCount: 40,
-    connectionDistance: 2.5,
-    colors: { primary: 0xff00aa, secondary: 0xffeb0b, accent: 0x02d7f2 }
-  },
-  constellation: {
-    name: 'Constellation',
-    particleCount: 300,
-    particleSize: 0.05,
-    particleSpeed: 0.0001,
-    nodeCount: 50,
-    connectionDistance: 5,
-    colors: { primary: 0xffffff, secondary: 0x02d7f2, accent: 0xffeb0b }
-  },
-  swarm: {
-    name: 'Swarm Intelligence',
-    particleCount: 200,
-    particleSize: 0.06,
-    particleSpeed: 0.008,
-    nodeCount: 30,
-    connectionDistance: 4,
-    colors: { primary: 0x00ff88, secondary: 0x02d7f2, accent: 0xff00aa }
-  },
-  matrix: {
-    name: 'Matrix Rain',
-    particleCount: 1000,
-    particleSize: 0.025,
-    particleSpeed: 0.002,
-    nodeCount: 60,
-    connectionDistance: 3,
-    colors: { primary: 0x00ff00, secondary: 0x00aa00, accent: 0xffffff }
-  }
-};
-
-// === Global Variables ===
-let scene, camera, renderer, controls;
-let nodes = [];
-let connections = [];
-let particleSystem;
-let coreNode;
-let time = 0;
-let currentMode = 'orbit';
-let currentViz = 'neural';
-let frameCount = 0;
-let lastTime = performance.now();
-let addingNode = false;
-let raycaster, mouse;
-
-// Post-processing
-let composer, bloomPass;
-let bloomEnabled = true;
-let pulsesEnabled = true;
-
-// Data pulses
-let dataPulses = [];
-
-// Mouse interaction
-let mouseWorld = new THREE.Vector3();
-let mouseGravityStrength = 0.5;
-
-// Recording
-let isRecording = false;
-let gifRecorder = null;
-let recordedFrames = [];
-
-// Export path
-const EXPORT_PATH = '~/Desktop/';
-
-// Animation frame ID for cleanup
-let animationFrameId = null;
-
-// Bound event handlers for cleanup
-let boundOnResize = null;
-let boundOnMouseMove = null;
-let boundOnCanvasClick = null;
-let boundOnRightClick = null;
-let boundOnKeyDown = null;
+import {
+  createIceVisualizer,
+  NODE_TYPES,
+  SCENE_FORMAT,
+  SCREENSHOT_FORMATS,
+  PRESET_COLOR_KEYS,
+  parseColor,
+  colorToCss,
+  normalizePreset,
+  presetFieldsFor,
+  getSupportedVideoFormats
+} from './ice-visualizer.js';
+
+// === Visualizer ===
+const container = document.getElementById('canvas-container');
+
+// ?seed=... rebuilds a scene exactly; otherwise a fresh random one
+const viz = createIceVisualizer(container, {
+  seed: new URLSearchParams(window.location.search).get('seed') ?? undefined
+});
+
+// Mirrors of instance state the controls need, kept current by events
+let currentPreset = null;
+let presetList = {};
+let selection = null;    // Node info of the selected node
+let tool = 'select';
+let effects = null;
+let forceFrozen = false;
+let recording = null;    // 'gif' | 'video' while one runs
 
 // === Initialization ===
 function init() {
-  // Scene
-  scene = new THREE.Scene();
-  scene.background = new THREE.Color(CONFIG.colors.background);
-  scene.fog = new THREE.FogExp2(CONFIG.colors.background, 0.05);
-
-  // Camera
-  camera = new THREE.PerspectiveCamera(
-    60,
-    window.innerWidth / window.innerHeight,
-    0.1,
-    1000
-  );
-  camera.position.set(0, 5, 12);
-
-  // Renderer
-  renderer = new THREE.WebGLRenderer({
-    antialias: true,
-    alpha: true
-  });
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-  document.getElementById('canvas-container').appendChild(renderer.domElement);
-
-  // Controls
-  controls = new OrbitControls(camera, renderer.domElement);
-  controls.enableDamping = true;
-  controls.dampingFactor = 0.05;
-  controls.enablePan = false;
-  controls.minDistance = 5;
-  controls.maxDistance = 30;
-  controls.autoRotate = true;
-  controls.autoRotateSpeed = 0.5;
-
-  // Create scene elements
-  createLights();
-  createCoreNode();
-  createNodes();
-  createConnections();
-  createParticles();
-
-  // Update HUD
-  updateHUD();
-
-  // Raycaster for adding nodes
-  raycaster = new THREE.Raycaster();
-  mouse = new THREE.Vector2();
-
-  // Post-processing
-  setupPostProcessing();
-  
-  // Initialize effect button states
-  setTimeout(() => {
-    document.getElementById('btn-bloom').classList.add('active');
-    document.getElementById('btn-pulses').classList.add('active');
-  }, 100);
-
-  // Bind event handlers for proper cleanup
-  boundOnResize = onWindowResize.bind(this);
-  boundOnMouseMove = onMouseMove.bind(this);
-  boundOnCanvasClick = onCanvasClick.bind(this);
-  boundOnRightClick = onRightClick.bind(this);
-  boundOnKeyDown = (e) => {
-    if (e.key === 'h' || e.key === 'H') toggleUI();
-  };
+  // Custom presets from earlier sessions
+  loadCustomPresets();
 
-  // Event listeners
-  window.addEventListener('resize', boundOnResize);
-  window.addEventListener('mousemove', boundOnMouseMove);
-  renderer.domElement.addEventListener('click', boundOnCanvasClick);
-  renderer.domElement.addEventListener('contextmenu', boundOnRightClick);
-  document.addEventListener('keydown', boundOnKeyDown);
-  
-  // Cleanup on page unload
-  window.addEventListener('beforeunload', cleanup);
-  
+  bindVisualizerEvents();
   setupControls();
+  syncFromState();
 
-  // Start animation
-  animate();
-}
+  // Keyboard shortcuts
+  document.addEventListener('keydown', onKeyDown);
+  window.addEventListener('hashchange', () => loadSceneFromHash());
 
-// === Cleanup / Dispose ===
-function cleanup() {
-  // Cancel animation frame
-  if (animationFrameId) {
-    cancelAnimationFrame(animationFrameId);
-    animationFrameId = null;
-  }
-  
-  // Stop recording if active
-  if (isRecording) {
-    isRecording = false;
-    recordedFrames = [];
-  }
-  
-  // Remove event listeners
-  if (boundOnResize) window.removeEventListener('resize', boundOnResize);
-  if (boundOnMouseMove) window.removeEventListener('mousemove', boundOnMouseMove);
-  if (boundOnKeyDown) document.removeEventListener('keydown', boundOnKeyDown);
-  if (renderer && renderer.domElement) {
-    if (boundOnCanvasClick) renderer.domElement.removeEventListener('click', boundOnCanvasClick);
-    if (boundOnRightClick) renderer.domElement.removeEventListener('contextmenu', boundOnRightClick);
-  }
-  
-  // Dispose Three.js objects
-  disposeScene();
-  
-  // Dispose renderer
-  if (renderer) {
-    renderer.dispose();
-    renderer.forceContextLoss();
-  }
-  
-  // Dispose composer
-  if (composer) {
-    composer.dispose();
-  }
-}
+  // Graph files can be dropped onto the canvas
+  container.addEventListener('dragover', onDragOver);
+  container.addEventListener('drop', onDrop);
 
-// === Dispose Scene Objects ===
-function disposeScene() {
-  // Dispose nodes
-  nodes.forEach(node => {
-    if (node.geometry) node.geometry.dispose();
-    if (node.material) node.material.dispose();
-  });
-  nodes = [];
-  
-  // Dispose connections
-  connections.forEach(conn => {
-    if (conn.geometry) conn.geometry.dispose();
-    if (conn.material) conn.material.dispose();
+  // Release the GPU, worker and stream on page unload
+  window.addEventListener('beforeunload', () => viz.destroy());
+
+  // Shared scene link (#scene=...) takes precedence over ?graph=<url>
+  loadSceneFromHash().then(restored => {
+    if (!restored) loadGraphFromUrlParam();
   });
-  connections = [];
-  
-  // Dispose particles
-  if (particleSystem) {
-    if (particleSystem.geometry) particleSystem.geometry.dispose();
-    if (particleSystem.material) particleSystem.material.dispose();
-  }
-  
-  // Dispose core node
-  if (coreNode) {
-    coreNode.traverse(child => {
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) child.material.dispose();
-    });
-  }
-  
-  // Dispose data pulses
-  dataPulses.forEach(pulse => {
-    pulse.traverse(child => {
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) child.material.dispose();
-    });
+
+  // Live events from ?stream=<url>
+  connectStreamFromUrlParam();
+}
+
+function bindVisualizerEvents() {
+  viz.on('graphchange', updateHUD);
+  viz.on('analyticschange', updateAnalyticsHUD);
+  viz.on('selectionchange', updateInspector);
+  viz.on('presetchange', ({ key }) => {
+    currentPreset = key;
+    document.getElementById('viz-select').value = key;
   });
-  dataPulses = [];
-}
-
-// === Post-Processing Setup ===
-function setupPostProcessing() {
-  composer = new EffectComposer(renderer);
-  
-  const renderPass = new RenderPass(scene, camera);
-  composer.addPass(renderPass);
-  
-  // Bloom pass
-  bloomPass = new UnrealBloomPass(
-    new THREE.Vector2(window.innerWidth, window.innerHeight),
-    1.5,  // strength
-    0.4,  // radius
-    0.85  // threshold
-  );
-  composer.addPass(bloomPass);
-}
-
-// === Lights ===
-function createLights() {
-  // Ambient light
-  const ambient = new THREE.AmbientLight(0x111122, 0.5);
-  scene.add(ambient);
-
-  // Point lights for dramatic effect
-  const light1 = new THREE.PointLight(CONFIG.colors.cyan, 2, 20);
-  light1.position.set(5, 5, 5);
-  scene.add(light1);
-
-  const light2 = new THREE.PointLight(CONFIG.colors.magenta, 2, 20);
-  light2.position.set(-5, -5, 5);
-  scene.add(light2);
-
-  const light3 = new THREE.PointLight(CONFIG.colors.yellow, 1, 15);
-  light3.position.set(0, 8, 0);
-  scene.add(light3);
-}
-
-// === Core Node (Central Hub) ===
-function createCoreNode() {
-  // Outer glow sphere
-  const glowGeometry = new THREE.SphereGeometry(CONFIG.coreSize * 3, 32, 32);
-  const glowMaterial = new THREE.MeshBasicMaterial({
-    color: CONFIG.colors.cyan,
-    transparent: true,
-    opacity: 0.1,
-    side: THREE.BackSide
+  viz.on('presetlistchange', presets => {
+    presetList = presets;
+    populateVizSelect();
   });
-  const glowSphere = new THREE.Mesh(glowGeometry, glowMaterial);
-  scene.add(glowSphere);
-
-  // Core icosahedron
-  const coreGeometry = new THREE.IcosahedronGeometry(CONFIG.coreSize, 1);
-  const coreMaterial = new THREE.MeshStandardMaterial({
-    color: CONFIG.colors.cyan,
-    emissive: CONFIG.colors.cyan,
-    emissiveIntensity: 0.5,
-    metalness: 0.8,
-    roughness: 0.2,
-    wireframe: true
+  viz.on('modechange', ({ mode }) => updateModeButtons(mode));
+  viz.on('forcechange', updateForceButtons);
+  viz.on('seedchange', ({ seed }) => {
+    document.getElementById('seed').textContent = seed;
   });
-  coreNode = new THREE.Mesh(coreGeometry, coreMaterial);
-  scene.add(coreNode);
-
-  // Inner solid core
-  const innerGeometry = new THREE.IcosahedronGeometry(CONFIG.coreSize * 0.6, 0);
-  const innerMaterial = new THREE.MeshStandardMaterial({
-    color: CONFIG.colors.yellow,
-    emissive: CONFIG.colors.yellow,
-    emissiveIntensity: 0.8,
-    metalness: 1,
-    roughness: 0
+  viz.on('effectschange', updateEffectControls);
+  viz.on('toolchange', updateToolButtons);
+  viz.on('historychange', updateHistoryButtons);
+  viz.on('streamchange', updateStreamStatus);
+  viz.on('recordingchange', updateRecordingIndicator);
+  viz.on('encodeprogress', ({ progress }) => {
+    showStatus(`Encoding GIF... ${Math.round(progress * 100)}%`);
   });
-  const innerCore = new THREE.Mesh(innerGeometry, innerMaterial);
-  coreNode.add(innerCore);
-}
-
-// === Data Nodes ===
-function createNodes() {
-  const geometry = new THREE.OctahedronGeometry(CONFIG.nodeSize, 0);
-  
-  for (let i = 0; i < CONFIG.nodeCount; i++) {
-    // Random position in spherical distribution
-    const radius = CONFIG.fieldSize * (0.3 + Math.random() * 0.7);
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.acos(2 * Math.random() - 1);
-    
-    const x = radius * Math.sin(phi) * Math.cos(theta);
-    const y = radius * Math.sin(phi) * Math.sin(theta);
-    const z = radius * Math.cos(phi);
-
-    // Determine node type/color
-    const colorChoice = Math.random();
-    let color, emissiveIntensity;
-    
-    if (colorChoice < 0.5) {
-      color = CONFIG.colors.cyan;
-      emissiveIntensity = 0.3;
-    } else if (colorChoice < 0.8) {
-      color = CONFIG.colors.magenta;
-      emissiveIntensity = 0.4;
+  viz.on('renderprogress', progress => {
+    if (progress) {
+      showRenderProgress(progress.done, progress.total, progress.label);
     } else {
-      color = CONFIG.colors.yellow;
-      emissiveIntensity = 0.5;
+      hideRenderProgress();
     }
-
-    const material = new THREE.MeshStandardMaterial({
-      color: color,
-      emissive: color,
-      emissiveIntensity: emissiveIntensity,
-      metalness: 0.9,
-      roughness: 0.1
-    });
-
-    const node = new THREE.Mesh(geometry, material);
-    node.position.set(x, y, z);
-    
-    // Store original position for animations
-    node.userData = {
-      originalPosition: new THREE.Vector3(x, y, z),
-      phase: Math.random() * Math.PI * 2,
-      speed: 0.5 + Math.random() * 0.5,
-      color: color
-    };
-
-    scene.add(node);
-    nodes.push(node);
-  }
-}
-
-// === Connections Between Nodes ===
-function createConnections() {
-  const material = new THREE.LineBasicMaterial({
-    color: CONFIG.colors.cyan,
-    transparent: true,
-    opacity: 0.3
   });
-
-  // Connect nodes that are close enough
-  for (let i = 0; i < nodes.length; i++) {
-    // Connect to core
-    const distToCore = nodes[i].position.length();
-    if (distToCore < CONFIG.connectionDistance * 1.5) {
-      const geometry = new THREE.BufferGeometry().setFromPoints([
-        new THREE.Vector3(0, 0, 0),
-        nodes[i].position.clone()
-      ]);
-      const line = new THREE.Line(geometry, material.clone());
-      line.userData = { nodeIndex: i, toCore: true };
-      scene.add(line);
-      connections.push(line);
-    }
-
-    // Connect to nearby nodes
-    for (let j = i + 1; j < nodes.length; j++) {
-      const distance = nodes[i].position.distanceTo(nodes[j].position);
-      
-      if (distance < CONFIG.connectionDistance) {
-        const geometry = new THREE.BufferGeometry().setFromPoints([
-          nodes[i].position.clone(),
-          nodes[j].position.clone()
-        ]);
-        const line = new THREE.Line(geometry, material.clone());
-        line.userData = { nodeIndex1: i, nodeIndex2: j };
-        scene.add(line);
-        connections.push(line);
-      }
-    }
-  }
-}
-
-// === Particle System ===
-function createParticles() {
-  const particleCount = 500;
-  const geometry = new THREE.BufferGeometry();
-  const positions = new Float32Array(particleCount * 3);
-  const colors = new Float32Array(particleCount * 3);
-
-  const colorCyan = new THREE.Color(CONFIG.colors.cyan);
-  const colorMagenta = new THREE.Color(CONFIG.colors.magenta);
-
-  for (let i = 0; i < particleCount; i++) {
-    const i3 = i * 3;
-    
-    // Random position in sphere
-    const radius = CONFIG.fieldSize * 1.5 * Math.random();
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.acos(2 * Math.random() - 1);
-    
-    positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-    positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-    positions[i3 + 2] = radius * Math.cos(phi);
-
-    // Random color blend
-    const mixRatio = Math.random();
-    const color = colorCyan.clone().lerp(colorMagenta, mixRatio);
-    colors[i3] = color.r;
-    colors[i3 + 1] = color.g;
-    colors[i3 + 2] = color.b;
-  }
-
-  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-
-  const material = new THREE.PointsMaterial({
-    size: 0.03,
-    vertexColors: true,
-    transparent: true,
-    opacity: 0.6,
-    blending: THREE.AdditiveBlending
-  });
-
-  particleSystem = new THREE.Points(geometry, material);
-  scene.add(particleSystem);
-}
-
-// === Animation Loop ===
-function animate() {
-  animationFrameId = requestAnimationFrame(animate);
-  
-  time += 0.016; // ~60fps
-  frameCount++;
-
-  // Update controls
-  controls.update();
-
-  // Rotate core
-  if (coreNode) {
-    coreNode.rotation.x += 0.005;
-    coreNode.rotation.y += 0.008;
-  }
-
-  // Animate nodes based on mode
-  animateNodes();
-
-  // Animate connections
-  animateConnections();
-
-  // Animate particles based on visualization type
-  animateParticles();
-  
-  // Apply mouse gravity to particles
-  applyMouseGravity();
-  
-  // Animate data pulses
-  if (pulsesEnabled) {
-    animateDataPulses();
-    // Spawn new pulses periodically
-    if (frameCount % 30 === 0 && connections.length > 0) {
-      spawnDataPulse();
-    }
-  }
-
-  // Update FPS counter
-  if (frameCount % 30 === 0) {
-    const now = performance.now();
-    const fps = Math.round(30000 / (now - lastTime));
+  viz.on('fps', ({ fps }) => {
     document.getElementById('fps').textContent = fps;
-    lastTime = now;
-  }
-
-  // Render with post-processing or standard
-  if (composer && bloomEnabled) {
-    bloomPass.enabled = bloomEnabled;
-    composer.render();
-  } else {
-    renderer.render(scene, camera);
-  }
-  
-  // Capture frame if recording
-  if (isRecording) {
-    captureFrame();
-  }
-}
-
-// === Node Animation ===
-function animateNodes() {
-  nodes.forEach((node, index) => {
-    const data = node.userData;
-    
-    switch (currentMode) {
-      case 'orbit':
-        // Gentle floating motion
-        const floatOffset = Math.sin(time * data.speed + data.phase) * 0.1;
-        node.position.y = data.originalPosition.y + floatOffset;
-        break;
-        
-      case 'pulse':
-        // Pulse from center
-        const pulseScale = 1 + Math.sin(time * 2 - node.position.length() * 0.5) * 0.3;
-        node.scale.setScalar(pulseScale);
-        node.material.emissiveIntensity = 0.3 + Math.sin(time * 3 + data.phase) * 0.3;
-        break;
-        
-      case 'expand':
-        // Expand outward
-        const expandFactor = 1 + Math.sin(time * 0.5) * 0.5;
-        node.position.copy(data.originalPosition).multiplyScalar(expandFactor);
-        break;
-    }
-
-    // Slow rotation
-    node.rotation.x += 0.01;
-    node.rotation.y += 0.01;
   });
+  viz.on('status', ({ message, type }) => showStatus(message, type));
 }
 
-// === Particle Animation ===
-function animateParticles() {
-  if (!particleSystem) return;
-  
-  const positions = particleSystem.geometry.attributes.position.array;
-  const velocities = particleSystem.geometry.attributes.velocity?.array;
-  const preset = particleSystem.userData.preset;
-  
-  switch (currentViz) {
-    case 'matrix':
-      // Matrix rain falling effect
-      for (let i = 0; i < positions.length; i += 3) {
-        positions[i + 1] += velocities ? velocities[i + 1] : -0.03;
-        // Reset to top when below threshold
-        if (positions[i + 1] < -10) {
-          positions[i + 1] = 15;
-          positions[i] = (Math.random() - 0.5) * 20;
-          positions[i + 2] = (Math.random() - 0.5) * 20;
-        }
-      }
-      particleSystem.geometry.attributes.position.needsUpdate = true;
-      break;
-      
-    case 'storm':
-      // Chaotic storm movement
-      for (let i = 0; i < positions.length; i += 3) {
-        if (velocities) {
-          positions[i] += velocities[i];
-          positions[i + 1] += velocities[i + 1];
-          positions[i + 2] += velocities[i + 2];
-          
-          // Bounce off bounds
-          const radius = Math.sqrt(positions[i]**2 + positions[i+1]**2 + positions[i+2]**2);
-          if (radius > 15) {
-            velocities[i] *= -0.8;
-            velocities[i + 1] *= -0.8;
-            velocities[i + 2] *= -0.8;
-          }
-          
-          // Add some turbulence
-          velocities[i] += (Math.random() - 0.5) * 0.001;
-          velocities[i + 1] += (Math.random() - 0.5) * 0.001;
-          velocities[i + 2] += (Math.random() - 0.5) * 0.001;
-        }
-      }
-      particleSystem.geometry.attributes.position.needsUpdate = true;
-      if (velocities) particleSystem.geometry.attributes.velocity.needsUpdate = true;
-      particleSystem.rotation.y += preset.particleSpeed * 2;
-      break;
-      
-    case 'swarm':
-      // Flocking behavior (boids)
-      const numBoids = positions.length / 3;
-      const perceptionRadius = 3;
-      const separationDist = 1;
-      const maxSpeed = 0.03;
-      const maxForce = 0.001;
-      
-      for (let i = 0; i < positions.length; i += 3) {
-        const idx = i / 3;
-        
-        // Current position and velocity
-        const px = positions[i], py = positions[i + 1], pz = positions[i + 2];
-        let vx = velocities[i], vy = velocities[i + 1], vz = velocities[i + 2];
-        
-        // Flocking forces
-        let sepX = 0, sepY = 0, sepZ = 0, sepCount = 0;
-        let alignX = 0, alignY = 0, alignZ = 0, alignCount = 0;
-        let cohX = 0, cohY = 0, cohZ = 0, cohCount = 0;
-        
-        // Check neighbors (sample for performance)
-        for (let j = 0; j < positions.length; j += 3) {
-          if (i === j) continue;
-          
-          const dx = positions[j] - px;
-          const dy = positions[j + 1] - py;
-          const dz = positions[j + 2] - pz;
-          const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-          
-          if (dist < perceptionRadius && dist > 0) {
-            // Separation
-            if (dist < separationDist) {
-              sepX -= dx / dist;
-              sepY -= dy / dist;
-              sepZ -= dz / dist;
-              sepCount++;
-            }
-            // Alignment
-            alignX += velocities[j];
-            alignY += velocities[j + 1];
-            alignZ += velocities[j + 2];
-            alignCount++;
-            // Cohesion
-            cohX += positions[j];
-            cohY += positions[j + 1];
-            cohZ += positions[j + 2];
-            cohCount++;
-          }
-        }
-        
-        // Apply forces
-        if (sepCount > 0) {
-          vx += (sepX / sepCount) * maxForce * 2;
-          vy += (sepY / sepCount) * maxForce * 2;
-          vz += (sepZ / sepCount) * maxForce * 2;
-        }
-        if (alignCount > 0) {
-          vx += ((alignX / alignCount) - vx) * maxForce;
-          vy += ((alignY / alignCount) - vy) * maxForce;
-          vz += ((alignZ / alignCount) - vz) * maxForce;
-        }
-        if (cohCount > 0) {
-          const targetX = cohX / cohCount - px;
-          const targetY = cohY / cohCount - py;
-          const targetZ = cohZ / cohCount - pz;
-          vx += targetX * maxForce * 0.5;
-          vy += targetY * maxForce * 0.5;
-          vz += targetZ * maxForce * 0.5;
-        }
-        
-        // Soft boundary - steer back toward center
-        const distFromCenter = Math.sqrt(px * px + py * py + pz * pz);
-        if (distFromCenter > 18) {
-          vx -= px * 0.0003;
-          vy -= py * 0.0003;
-          vz -= pz * 0.0003;
-        }
-        
-        // Limit speed
-        const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
-        if (speed > maxSpeed) {
-          vx = (vx / speed) * maxSpeed;
-          vy = (vy / speed) * maxSpeed;
-          vz = (vz / speed) * maxSpeed;
-        }
-        
-        // Update velocity and position
-        velocities[i] = vx;
-        velocities[i + 1] = vy;
-        velocities[i + 2] = vz;
-        positions[i] += vx;
-        positions[i + 1] += vy;
-        positions[i + 2] += vz;
-      }
-      particleSystem.geometry.attributes.position.needsUpdate = true;
-      particleSystem.geometry.attributes.velocity.needsUpdate = true;
-      break;
-      
-    case 'constellation':
-      // Gentle twinkling
-      particleSystem.material.opacity = 0.7 + Math.sin(time * 2) * 0.2;
-      particleSystem.rotation.y += preset.particleSpeed;
-      break;
-      
-    default:
-      // Neural network - slow rotation
-      particleSystem.rotation.y += preset?.particleSpeed || 0.0002;
-  }
-}
-
-// === Connection Animation ===
-function animateConnections() {
-  connections.forEach((line, index) => {
-    // Pulse opacity
-    const opacity = 0.2 + Math.sin(time * 2 + index * 0.1) * 0.15;
-    line.material.opacity = opacity;
-
-    // Update positions if nodes moved
-    if (line.userData.toCore) {
-      const node = nodes[line.userData.nodeIndex];
-      const positions = line.geometry.attributes.position.array;
-      positions[3] = node.position.x;
-      positions[4] = node.position.y;
-      positions[5] = node.position.z;
-      line.geometry.attributes.position.needsUpdate = true;
-    } else if (line.userData.nodeIndex1 !== undefined) {
-      const node1 = nodes[line.userData.nodeIndex1];
-      const node2 = nodes[line.userData.nodeIndex2];
-      const positions = line.geometry.attributes.position.array;
-      positions[0] = node1.position.x;
-      positions[1] = node1.position.y;
-      positions[2] = node1.position.z;
-      positions[3] = node2.position.x;
-      positions[4] = node2.position.y;
-      positions[5] = node2.position.z;
-      line.geometry.attributes.position.needsUpdate = true;
-    }
-  });
+// The instance was built before the listeners above, so catch up once
+function syncFromState() {
+  const state = viz.getState();
+  const stats = viz.getStats();
+
+  currentPreset = state.preset;
+  presetList = viz.getPresets();
+  populateVizSelect();
+  document.getElementById('seed').textContent = state.seed;
+  document.getElementById('morph-select').value = String(state.transitionDuration);
+  document.getElementById('node-type').value = state.newNodeType;
+  document.getElementById('route-metric').value = state.routeMetric;
+
+  updateModeButtons(state.mode);
+  updateForceButtons(state.force);
+  updateEffectControls(state.effects);
+  updateToolButtons({ tool: state.tool });
+  updateHistoryButtons(state.history);
+  updateStreamStatus(state.stream);
+  updateInspector(state.selection);
+  updateHUD(stats);
+  updateAnalyticsHUD(stats.analytics);
 }
 
-// === Window Resize ===
-function onWindowResize() {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  
-  if (composer) {
-    composer.setSize(window.innerWidth, window.innerHeight);
-  }
-  
-  if (bloomPass) {
-    bloomPass.resolution.set(window.innerWidth, window.innerHeight);
-  }
-}
-
-// === Control Buttons ===
+// === Controls ===
 function setupControls() {
   // Animation mode buttons
   document.querySelectorAll('.control-btn[data-mode]').forEach(btn => {
     btn.addEventListener('click', () => {
       const mode = btn.dataset.mode;
-      
+
       if (mode === 'reset') {
-        resetScene();
+        viz.reset();
+        if (editorDraft) closePresetEditor();
         return;
       }
-      
-      // Update active state
-      document.querySelectorAll('.control-btn[data-mode]').forEach(b => {
-        if (b.dataset.mode !== 'reset') b.classList.remove('active');
-      });
-      btn.classList.add('active');
-      
-      currentMode = mode;
-      
-      // Reset node scales when switching modes
-      if (mode !== 'pulse') {
-        nodes.forEach(node => node.scale.setScalar(1));
-      }
+
+      viz.setMode(mode);
     });
   });
-  
-  // Visualization preset dropdown
+
+  // Live event stream
+  setupStreamControls();
+
+  // Structured layouts
+  // The select is an action menu: it goes back to its placeholder so any
+  // layout, including the last one, can be applied again
+  document.getElementById('layout-select').addEventListener('change', (e) => {
+    viz.applyLayout(e.target.value);
+    e.target.value = '';
+  });
+
+  // Force layout temperature
+  document.getElementById('btn-force-reheat').addEventListener('click', () => viz.reheatForceLayout());
+  document.getElementById('btn-force-freeze').addEventListener('click', () => viz.freezeForceLayout(!forceFrozen));
+
+  // Visualization preset dropdown, generated from the preset registry
   document.getElementById('viz-select').addEventListener('change', (e) => {
-    switchVisualization(e.target.value);
+    viz.setPreset(e.target.value);
   });
-  
+  setupPresetEditor();
+  setupNodeInspector();
+  setupNodeTypes();
+  document.getElementById('label-mode').addEventListener('change', (e) => viz.setEffects({ labels: e.target.value }));
+  document.getElementById('analytics-mode').addEventListener('change', (e) => viz.setEffects({ metric: e.target.value }));
+
+  // Morph duration
+  const morphSelect = document.getElementById('morph-select');
+  morphSelect.addEventListener('change', () => {
+    viz.setTransitionDuration(parseFloat(morphSelect.value));
+  });
+
+  // Preset import / export
+  const presetInput = document.getElementById('preset-file');
+  document.getElementById('btn-export-preset').addEventListener('click', () => exportPreset(currentPreset));
+  document.getElementById('btn-import-preset').addEventListener('click', () => presetInput.click());
+  presetInput.addEventListener('change', () => {
+    if (presetInput.files[0]) importPresetFile(presetInput.files[0]);
+    presetInput.value = '';
+  });
+
   // Add node button
   document.getElementById('btn-add-node').addEventListener('click', () => {
-    addingNode = !addingNode;
-    document.getElementById('btn-add-node').classList.toggle('active', addingNode);
-    document.getElementById('click-hint').classList.toggle('active', addingNode);
+    viz.setTool(tool === 'add' ? 'select' : 'add');
+  });
+
+  // Route picking and metric
+  document.getElementById('btn-route').addEventListener('click', () => {
+    viz.setTool(tool === 'route' ? 'select' : 'route');
   });
-  
+  document.getElementById('route-metric').addEventListener('change', (e) => viz.setRouteMetric(e.target.value));
+
+  // Load graph from file
+  const graphInput = document.getElementById('graph-file');
+  document.getElementById('btn-load-graph').addEventListener('click', () => graphInput.click());
+  graphInput.addEventListener('change', () => {
+    if (graphInput.files[0]) loadGraphFile(graphInput.files[0]);
+    graphInput.value = '';
+  });
+
+  // Save / load scene
+  const sceneInput = document.getElementById('scene-file');
+  document.getElementById('btn-save-scene').addEventListener('click', saveScene);
+  document.getElementById('btn-load-scene').addEventListener('click', () => sceneInput.click());
+  sceneInput.addEventListener('change', () => {
+    if (sceneInput.files[0]) loadSceneFile(sceneInput.files[0]);
+    sceneInput.value = '';
+  });
+  document.getElementById('btn-share').addEventListener('click', shareScene);
+
+  // Undo / redo
+  document.getElementById('btn-undo').addEventListener('click', () => viz.undo());
+  document.getElementById('btn-redo').addEventListener('click', () => viz.redo());
+
   // Effect toggles
-  document.getElementById('btn-bloom').addEventListener('click', (e) => {
-    bloomEnabled = !bloomEnabled;
-    e.target.classList.toggle('active', bloomEnabled);
+  document.getElementById('btn-bloom').addEventListener('click', () => {
+    viz.setEffects({ bloom: !effects.bloom });
   });
-  
-  document.getElementById('btn-pulses').addEventListener('click', (e) => {
-    pulsesEnabled = !pulsesEnabled;
-    e.target.classList.toggle('active', pulsesEnabled);
-    // Clear existing pulses if disabled
-    if (!pulsesEnabled) {
-      dataPulses.forEach(p => scene.remove(p));
-      dataPulses = [];
-    }
+
+  document.getElementById('btn-dynamic-links').addEventListener('click', () => {
+    viz.setEffects({ dynamicLinks: !effects.dynamicLinks });
+  });
+
+  document.getElementById('btn-pulses').addEventListener('click', () => {
+    viz.setEffects({ pulses: !effects.pulses });
   });
-  
+
+  // New random seed
+  document.getElementById('btn-reroll').addEventListener('click', rerollSeed);
+
   // Export buttons
-  document.getElementById('btn-screenshot').addEventListener('click', takeScreenshot);
+  setupScreenshotControls();
   document.getElementById('btn-record').addEventListener('click', toggleRecording);
-  
+  setupGifControls();
+  setupVideoControls();
+  setupOfflineRenderControls();
+
   // Hide UI
   document.getElementById('btn-hide-ui').addEventListener('click', toggleUI);
 }
 
+function updateModeButtons(mode) {
+  document.querySelectorAll('.control-btn[data-mode]').forEach(b => {
+    if (b.dataset.mode !== 'reset') b.classList.toggle('active', b.dataset.mode === mode);
+  });
+}
+
+function updateForceButtons({ active, frozen }) {
+  forceFrozen = frozen;
+  document.getElementById('btn-force-reheat').disabled = !active;
+  document.getElementById('btn-force-freeze').disabled = !active;
+  document.getElementById('btn-force-freeze').classList.toggle('active', active && frozen);
+}
+
+function updateEffectControls(next) {
+  effects = next;
+  document.getElementById('btn-bloom').classList.toggle('active', effects.bloom);
+  document.getElementById('btn-pulses').classList.toggle('active', effects.pulses);
+  document.getElementById('btn-dynamic-links').classList.toggle('active', effects.dynamicLinks);
+  document.getElementById('label-mode').value = effects.labels;
+  document.getElementById('analytics-mode').value = effects.metric;
+}
+
+function updateToolButtons(next) {
+  tool = next.tool;
+  document.getElementById('btn-add-node').classList.toggle('active', tool === 'add');
+  document.getElementById('click-hint').classList.toggle('active', tool === 'add');
+  document.getElementById('btn-route').classList.toggle('active', tool === 'route');
+}
+
+function updateHistoryButtons({ canUndo, canRedo }) {
+  document.getElementById('btn-undo').disabled = !canUndo;
+  document.getElementById('btn-redo').disabled = !canRedo;
+}
+
+// Pick a new seed, rebuild the current preset with it and keep ?seed= in sync
+function rerollSeed() {
+  const seed = viz.setSeed();
+
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', seed);
+  history.replaceState(null, '', url);
+
+  showStatus(`Seed ${seed}`);
+}
+
+function onKeyDown(e) {
+  if (e.target.closest && e.target.closest('input, textarea, select')) return;
+
+  const key = e.key.toLowerCase();
+  if ((e.ctrlKey || e.metaKey) && key === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) viz.redo(); else viz.undo();
+  } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+    e.preventDefault();
+    viz.redo();
+  } else if (key === 'h' && !e.ctrlKey && !e.metaKey) {
+    toggleUI();
+  } else if (key === 'escape') {
+    viz.selectNode(null);
+    if (tool === 'route') viz.setTool('select');
+  } else if ((key === 'delete' || key === 'backspace') && selection) {
+    e.preventDefault();
+    viz.removeNode(selection.id);
+  }
+}
+
 // === Hide UI ===
 let uiHidden = false;
 
 function toggleUI() {
   uiHidden = !uiHidden;
-  
+
   const huds = document.querySelectorAll('.hud');
   const controls = document.querySelector('.controls');
   const btn = document.getElementById('btn-hide-ui');
-  
+
   if (uiHidden) {
     huds.forEach(h => {
       h.style.opacity = '0';
@@ -893,657 +349,1037 @@ function toggleUI() {
   }
 }
 
-// Press H to toggle UI - moved to init() for proper cleanup
+// === HUD ===
+function updateHUD({ nodes, connections, types }) {
+  document.getElementById('node-count').textContent = nodes;
+  document.getElementById('connection-count').textContent = connections;
+  updateLegend(types);
+}
 
-// === Switch Visualization ===
-function switchVisualization(vizKey) {
-  const preset = VIZ_PRESETS[vizKey];
-  if (!preset) return;
-  
-  currentViz = vizKey;
-  
-  // Update config
-  CONFIG.nodeCount = preset.nodeCount;
-  CONFIG.connectionDistance = preset.connectionDistance;
-  CONFIG.colors.cyan = preset.colors.primary;
-  CONFIG.colors.magenta = preset.colors.secondary;
-  CONFIG.colors.yellow = preset.colors.accent;
-  
-  // Clear existing elements
-  clearScene();
-  
-  // Recreate with new settings
-  createCoreNode();
-  createNodes();
-  createConnections();
-  createParticlesForPreset(preset);
-  
-  // Update lights
-  updateLightsForPreset(preset);
-  
-  updateHUD();
-}
-
-// === Clear Scene ===
-function clearScene() {
-  // Remove and dispose nodes
-  nodes.forEach(node => {
-    scene.remove(node);
-    if (node.geometry) node.geometry.dispose();
-    if (node.material) node.material.dispose();
+function updateAnalyticsHUD(summary) {
+  if (!summary) return;
+
+  document.getElementById('stat-components').textContent = summary.components;
+  document.getElementById('stat-avg-degree').textContent = summary.averageDegree.toFixed(2);
+  document.getElementById('stat-diameter').textContent = `${summary.diameterExact ? '' : '≥'}${summary.diameter}`;
+  document.getElementById('stat-density').textContent = summary.density.toFixed(3);
+  document.getElementById('stat-hubs').textContent = summary.hubs.length > 0
+    ? summary.hubs.map(hub => `${hub.label} (${hub.degree})`).join(' · ')
+    : '—';
+}
+
+// === Node Types ===
+// Fill the + NODE type select, the inspector's suggestions and the HUD legend
+function setupNodeTypes() {
+  const select = document.getElementById('node-type');
+  const suggestions = document.getElementById('node-type-options');
+  const legend = document.getElementById('node-legend');
+
+  Object.entries(NODE_TYPES).forEach(([key, type]) => {
+    const color = type.color !== null ? colorToCss(type.color) : '';
+
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = `${type.glyph} ${type.name}`;
+    select.appendChild(option);
+
+    const suggestion = document.createElement('option');
+    suggestion.value = key;
+    suggestions.appendChild(suggestion);
+
+    const row = document.createElement('div');
+    row.className = 'legend-row';
+    row.dataset.type = key;
+    row.innerHTML = '<span class="legend-glyph"></span> <span class="hud-label"></span> <span class="hud-value"></span>';
+    row.children[0].textContent = type.glyph;
+    row.children[0].style.color = color;
+    row.children[1].textContent = type.name;
+    legend.appendChild(row);
   });
-  nodes = [];
-  
-  // Remove and dispose connections
-  connections.forEach(conn => {
-    scene.remove(conn);
-    if (conn.geometry) conn.geometry.dispose();
-    if (conn.material) conn.material.dispose();
+
+  select.addEventListener('change', (e) => viz.setNewNodeType(e.target.value));
+}
+
+// Per-type node counts; types with no nodes are hidden
+function updateLegend(counts) {
+  document.querySelectorAll('#node-legend .legend-row').forEach(row => {
+    const count = counts[row.dataset.type] || 0;
+    row.hidden = count === 0;
+    row.children[2].textContent = count;
   });
-  connections = [];
-  
-  // Remove and dispose particles
-  if (particleSystem) {
-    scene.remove(particleSystem);
-    if (particleSystem.geometry) particleSystem.geometry.dispose();
-    if (particleSystem.material) particleSystem.material.dispose();
-    particleSystem = null;
-  }
-  
-  // Remove and dispose core
-  if (coreNode) {
-    coreNode.traverse(child => {
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) child.material.dispose();
-    });
-    scene.remove(coreNode);
-    coreNode = null;
+}
+
+// === Node Inspector ===
+function updateInspector(info) {
+  selection = info;
+  document.getElementById('node-inspector').classList.toggle('active', !!info);
+  if (!info) return;
+
+  const fields = {
+    'inspector-id': info.id,
+    'inspector-label': info.label ?? '',
+    'inspector-type': info.type,
+    'inspector-color': colorToCss(info.color),
+    'inspector-x': info.position[0].toFixed(2),
+    'inspector-y': info.position[1].toFixed(2),
+    'inspector-z': info.position[2].toFixed(2)
+  };
+  Object.entries(fields).forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (document.activeElement !== input) input.value = value;
+  });
+  document.getElementById('inspector-degree').textContent = info.degree;
+  document.getElementById('inspector-betweenness').textContent =
+    info.betweenness !== null ? info.betweenness.toFixed(3) : '—';
+}
+
+// Edit the selected node; invalid input is reported and the fields reset
+function editSelectedNode(changes) {
+  if (!selection) return;
+  try {
+    viz.updateNode(selection.id, changes);
+  } catch (err) {
+    showStatus(err.message, 'error');
+    updateInspector(selection);
   }
-  
-  // Clear data pulses
-  dataPulses.forEach(pulse => {
-    pulse.traverse(child => {
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) child.material.dispose();
+}
+
+function setupNodeInspector() {
+  const field = id => document.getElementById(id);
+
+  field('inspector-id').addEventListener('change', (e) => editSelectedNode({ id: e.target.value }));
+  field('inspector-label').addEventListener('change', (e) => editSelectedNode({ label: e.target.value }));
+  field('inspector-type').addEventListener('change', (e) => editSelectedNode({ type: e.target.value }));
+  field('inspector-color').addEventListener('change', (e) => editSelectedNode({ color: e.target.value }));
+
+  ['inspector-x', 'inspector-y', 'inspector-z'].forEach(id => {
+    field(id).addEventListener('change', () => {
+      editSelectedNode({
+        position: ['inspector-x', 'inspector-y', 'inspector-z'].map(axis => parseFloat(field(axis).value))
+      });
     });
-    scene.remove(pulse);
   });
-  dataPulses = [];
-}
-
-// === Create Particles for Preset ===
-function createParticlesForPreset(preset) {
-  const particleCount = preset.particleCount;
-  const geometry = new THREE.BufferGeometry();
-  const positions = new Float32Array(particleCount * 3);
-  const colors = new Float32Array(particleCount * 3);
-  const velocities = new Float32Array(particleCount * 3);
-
-  const colorPrimary = new THREE.Color(preset.colors.primary);
-  const colorSecondary = new THREE.Color(preset.colors.secondary);
-
-  for (let i = 0; i < particleCount; i++) {
-    const i3 = i * 3;
-    
-    if (currentViz === 'matrix') {
-      // Matrix rain - spread in X/Z, full height in Y
-      positions[i3] = (Math.random() - 0.5) * 20;
-      positions[i3 + 1] = Math.random() * 20 - 5;
-      positions[i3 + 2] = (Math.random() - 0.5) * 20;
-      velocities[i3 + 1] = -0.02 - Math.random() * 0.03; // Fall speed
-    } else if (currentViz === 'storm') {
-      // Storm - chaotic sphere
-      const radius = CONFIG.fieldSize * 2 * Math.random();
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-      positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-      positions[i3 + 2] = radius * Math.cos(phi);
-      velocities[i3] = (Math.random() - 0.5) * 0.02;
-      velocities[i3 + 1] = (Math.random() - 0.5) * 0.02;
-      velocities[i3 + 2] = (Math.random() - 0.5) * 0.02;
-    } else if (currentViz === 'swarm') {
-      // Swarm - spread out with random velocities for flocking
-      const radius = CONFIG.fieldSize * 2.5 * Math.random();
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-      positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-      positions[i3 + 2] = radius * Math.cos(phi);
-      // Random initial velocity
-      velocities[i3] = (Math.random() - 0.5) * 0.02;
-      velocities[i3 + 1] = (Math.random() - 0.5) * 0.02;
-      velocities[i3 + 2] = (Math.random() - 0.5) * 0.02;
-    } else {
-      // Default spherical distribution
-      const radius = CONFIG.fieldSize * 1.5 * Math.random();
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-      positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-      positions[i3 + 2] = radius * Math.cos(phi);
+
+  field('btn-inspector-delete').addEventListener('click', () => {
+    if (selection) viz.removeNode(selection.id);
+  });
+  field('btn-inspector-close').addEventListener('click', () => viz.selectNode(null));
+}
+
+// === Custom Presets ===
+const CUSTOM_PRESETS_KEY = 'ice-visualizer-presets';
+const PREVIEW_PRESET_KEY = '__preview';
+
+// Register presets saved in localStorage with the visualizer
+function loadCustomPresets() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(CUSTOM_PRESETS_KEY)) || {};
+  } catch (err) {
+    console.warn('Could not read custom presets:', err);
+  }
+
+  Object.entries(stored).forEach(([key, raw]) => {
+    try {
+      viz.definePreset(key, raw);
+    } catch (err) {
+      console.warn(`Skipping stored preset "${key}":`, err.message);
     }
+  });
+}
+
+// Persist every custom preset except transient ones (preview, shared links).
+// `changes` (key -> preset, or null to drop it) are applied on top so callers
+// can store an edit before committing it to the registry.
+function saveCustomPresets(changes = {}) {
+  const stored = {};
+  Object.entries(presetList).forEach(([key, preset]) => {
+    if (preset.custom && !preset.transient) stored[key] = normalizePreset(preset);
+  });
+  Object.entries(changes).forEach(([key, preset]) => {
+    if (preset) stored[key] = normalizePreset(preset); else delete stored[key];
+  });
 
-    // Color blend
-    const mixRatio = Math.random();
-    const color = colorPrimary.clone().lerp(colorSecondary, mixRatio);
-    colors[i3] = color.r;
-    colors[i3 + 1] = color.g;
-    colors[i3 + 2] = color.b;
+  try {
+    localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(stored));
+    return true;
+  } catch (err) {
+    showStatus('Could not store presets', 'error');
+    return false;
   }
+}
 
-  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-  geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
+function presetKeyForName(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `custom-${slug || 'preset'}`;
+}
 
-  const material = new THREE.PointsMaterial({
-    size: preset.particleSize,
-    vertexColors: true,
-    transparent: true,
-    opacity: currentViz === 'constellation' ? 0.9 : 0.6,
-    blending: THREE.AdditiveBlending
+// Rebuild a <select> from the preset registry (built-ins first, then custom)
+function fillPresetOptions(select, { includeTransient = true } = {}) {
+  select.innerHTML = '';
+  const customGroup = document.createElement('optgroup');
+  customGroup.label = 'CUSTOM';
+
+  Object.entries(presetList).forEach(([key, preset]) => {
+    if (preset.transient && !includeTransient) return;
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = preset.name.toUpperCase() + (key === PREVIEW_PRESET_KEY ? ' (PREVIEW)' : '');
+    (preset.custom ? customGroup : select).appendChild(option);
   });
 
-  particleSystem = new THREE.Points(geometry, material);
-  particleSystem.userData.preset = preset;
-  scene.add(particleSystem);
+  if (customGroup.children.length > 0) select.appendChild(customGroup);
 }
 
-// === Update Lights for Preset ===
-function updateLightsForPreset(preset) {
-  scene.children.forEach(child => {
-    if (child.isPointLight) {
-      if (child.position.x > 0) {
-        child.color.setHex(preset.colors.primary);
-      } else {
-        child.color.setHex(preset.colors.secondary);
-      }
+function populateVizSelect() {
+  const select = document.getElementById('viz-select');
+  fillPresetOptions(select);
+  select.value = currentPreset;
+}
+
+// === Preset Import / Export ===
+const PRESET_FILE_FORMAT = 'ice-visualizer-presets';
+const PRESET_FILE_VERSION = 1;
+
+// Presets in files use CSS hex colors so they're easy to read and diff
+function presetToJSON(preset) {
+  const clean = normalizePreset(preset);
+  const colors = {};
+  PRESET_COLOR_KEYS.forEach(key => { colors[key] = colorToCss(clean.colors[key]); });
+  return { ...clean, colors };
+}
+
+function exportPreset(key) {
+  const preset = presetList[key];
+  if (!preset) return;
+
+  const doc = {
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    presets: [presetToJSON(preset)]
+  };
+  const slug = presetKeyForName(preset.name).replace(/^custom-/, '');
+
+  downloadBlob(
+    new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }),
+    `ice-visualizer-preset-${slug}.json`
+  );
+
+  showStatus(`Preset "${preset.name}" exported`, 'success');
+}
+
+/**
+ * Validate a preset file. Accepts the exported wrapper format or a single
+ * bare preset object.
+ * @returns {object[]} Normalized presets
+ */
+function parsePresetFile(data) {
+  let list;
+  if (data && data.format === PRESET_FILE_FORMAT) {
+    if (!Number.isInteger(data.version) || data.version > PRESET_FILE_VERSION) {
+      throw new Error(`Unsupported preset file version ${data.version}`);
+    }
+    if (!Array.isArray(data.presets) || data.presets.length === 0) {
+      throw new Error('Preset file contains no presets');
+    }
+    list = data.presets;
+  } else if (data && typeof data === 'object' && !Array.isArray(data) && 'name' in data) {
+    list = [data];
+  } else {
+    throw new Error('Not an ICE Visualizer preset file');
+  }
+
+  return list.map((raw, i) => {
+    try {
+      return normalizePreset(raw);
+    } catch (err) {
+      throw new Error(list.length > 1 ? `Preset #${i + 1}: ${err.message}` : err.message);
     }
   });
 }
 
-// === Canvas Click Handler ===
-function onCanvasClick(event) {
-  if (!addingNode) return;
-  
-  // Calculate mouse position in normalized device coordinates
-  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-  
-  // Create a plane at z=0 to intersect with
-  const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-  raycaster.setFromCamera(mouse, camera);
-  
-  const intersectPoint = new THREE.Vector3();
-  raycaster.ray.intersectPlane(plane, intersectPoint);
-  
-  if (intersectPoint) {
-    // Limit the position within bounds
-    intersectPoint.x = Math.max(-10, Math.min(10, intersectPoint.x));
-    intersectPoint.y = Math.max(-10, Math.min(10, intersectPoint.y));
-    intersectPoint.z = (Math.random() - 0.5) * 4; // Add some depth variation
-    
-    // Don't allow nodes too close to center
-    const distFromCenter = Math.sqrt(intersectPoint.x ** 2 + intersectPoint.y ** 2);
-    if (distFromCenter < 2) {
-      // Push node outward
-      const angle = Math.atan2(intersectPoint.y, intersectPoint.x);
-      intersectPoint.x = Math.cos(angle) * 2.5;
-      intersectPoint.y = Math.sin(angle) * 2.5;
-    }
-    
-    addNode(intersectPoint);
+// Find a free "Name (2)", "Name (3)", ... for a preset that should be kept alongside
+function uniquePresetName(name) {
+  const taken = candidate => Object.entries(presetList).some(([key, preset]) =>
+    !preset.transient &&
+    (preset.name.toLowerCase() === candidate.toLowerCase() || key === presetKeyForName(candidate))
+  );
+  let n = 2;
+  while (taken(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+/**
+ * Settle where a preset named `name` goes. A clash with another stored preset
+ * (same name, or same key) asks the user to overwrite it (custom ones only)
+ * or keep both under a free "Name (n)".
+ * @param {string} name
+ * @param {string|null} [ownKey] - Key of the preset being saved, if it has one
+ * @returns {{ key: string, name: string }}
+ */
+function resolvePresetName(name, ownKey = null) {
+  const key = ownKey || presetKeyForName(name);
+  const clash = Object.entries(presetList).find(([k, p]) =>
+    k !== ownKey && !p.transient && (k === key || p.name.toLowerCase() === name.toLowerCase())
+  );
+  if (!clash) return { key, name };
+
+  const [clashKey, existing] = clash;
+  const overwrite = existing.custom && window.confirm(
+    `A preset named "${existing.name}" already exists.\n\n` +
+    'OK = overwrite it, Cancel = keep both'
+  );
+  if (overwrite) return { key: clashKey, name };
+
+  const unique = uniquePresetName(name);
+  return { key: ownKey || presetKeyForName(unique), name: unique };
+}
+
+// Register imported presets; on a name clash the user picks overwrite or keep both
+function importPresets(presets) {
+  let lastKey = null;
+
+  presets.forEach(preset => {
+    const { key, name } = resolvePresetName(preset.name);
+    viz.definePreset(key, { ...preset, name });
+    lastKey = key;
+  });
+
+  saveCustomPresets();
+  if (lastKey) viz.setPreset(lastKey);
+}
+
+async function importPresetFile(file) {
+  try {
+    const presets = parsePresetFile(await readJsonFile(file));
+    importPresets(presets);
+    showStatus(`Imported ${presets.length} preset${presets.length === 1 ? '' : 's'}`, 'success');
+  } catch (err) {
+    showStatus(`Preset import failed: ${err.message}`, 'error');
   }
 }
 
-// === Add New Node ===
-function addNode(position) {
-  const preset = VIZ_PRESETS[currentViz];
-  const geometry = new THREE.OctahedronGeometry(CONFIG.nodeSize * 1.5, 0);
-  
-  // Use accent color for new nodes
-  const color = preset.colors.accent;
-  const material = new THREE.MeshStandardMaterial({
-    color: color,
-    emissive: color,
-    emissiveIntensity: 0.8,
-    metalness: 0.9,
-    roughness: 0.1
+// === Preset Editor ===
+let editorDraft = null;       // Preset being edited
+let editorKey = null;         // Custom preset being edited in place (null = new)
+let editorReturnViz = null;   // Preset to go back to on cancel
+let previewTimer = null;
+
+function openPresetEditor() {
+  if (currentPreset !== PREVIEW_PRESET_KEY || !editorReturnViz) editorReturnViz = currentPreset;
+  loadEditorDraft(editorReturnViz);
+  document.getElementById('preset-editor').classList.add('active');
+  document.getElementById('btn-edit-preset').classList.add('active');
+}
+
+// Start a draft from a registry preset: custom ones are edited, built-ins cloned
+function loadEditorDraft(key) {
+  const source = presetList[key];
+  editorDraft = normalizePreset(source);
+  editorKey = source.custom && !source.transient ? key : null;
+  if (!editorKey) editorDraft.name = `${source.name} Copy`;
+
+  const base = document.getElementById('preset-base');
+  fillPresetOptions(base, { includeTransient: false });
+  base.value = key;
+
+  renderEditorFields();
+}
+
+function renderEditorFields() {
+  document.getElementById('preset-name').value = editorDraft.name;
+  document.getElementById('btn-delete-preset').disabled = !editorKey;
+
+  const fields = document.getElementById('preset-fields');
+  fields.innerHTML = '';
+
+  presetFieldsFor(editorDraft.behavior).forEach(field => {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    row.innerHTML = `<label>${field.label}</label>`;
+
+    const input = document.createElement('input');
+    input.className = 'panel-input';
+    input.type = 'number';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step;
+    input.value = editorDraft[field.key];
+    input.addEventListener('input', () => {
+      const value = field.integer ? parseInt(input.value, 10) : parseFloat(input.value);
+      if (!Number.isFinite(value)) return;
+      editorDraft[field.key] = Math.min(field.max, Math.max(field.min, value));
+      schedulePreview();
+    });
+
+    row.appendChild(input);
+    fields.appendChild(row);
   });
 
-  const node = new THREE.Mesh(geometry, material);
-  node.position.copy(position);
-  
-  node.userData = {
-    originalPosition: position.clone(),
-    phase: Math.random() * Math.PI * 2,
-    speed: 0.5 + Math.random() * 0.5,
-    color: color,
-    isNew: true
-  };
+  PRESET_COLOR_KEYS.forEach(key => {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    row.innerHTML = `<label>${key.toUpperCase()}</label>`;
+
+    const input = document.createElement('input');
+    input.className = 'panel-input';
+    input.type = 'color';
+    input.value = colorToCss(editorDraft.colors[key]);
+    input.addEventListener('input', () => {
+      editorDraft.colors[key] = parseColor(input.value);
+      schedulePreview();
+    });
+
+    row.appendChild(input);
+    fields.appendChild(row);
+  });
+
+  schedulePreview();
+}
+
+// Rebuild the scene with the draft, debounced while inputs are being dragged
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(() => {
+    // The name field may be mid-edit (empty); the preview doesn't need one
+    viz.definePreset(PREVIEW_PRESET_KEY, { ...editorDraft, name: editorDraft.name.trim() || 'Preview' }, { transient: true });
+    viz.setPreset(PREVIEW_PRESET_KEY, { animate: false });
+  }, 150);
+}
+
+// Close the editor and drop the preview preset; switch away from the
+// preview first, or the visualizer falls back to the default preset
+function closePresetEditor() {
+  clearTimeout(previewTimer);
+  viz.deletePreset(PREVIEW_PRESET_KEY);
+  editorDraft = null;
+  editorKey = null;
 
-  // Spawn animation
-  node.scale.setScalar(0);
-  
-  scene.add(node);
-  nodes.push(node);
-  
-  // Animate spawn
-  const targetScale = 1.5;
-  const animateSpawn = () => {
-    if (node.scale.x < targetScale) {
-      node.scale.addScalar(0.1);
-      requestAnimationFrame(animateSpawn);
+  document.getElementById('preset-editor').classList.remove('active');
+  document.getElementById('btn-edit-preset').classList.remove('active');
+}
+
+function cancelPresetEditor() {
+  if (currentPreset === PREVIEW_PRESET_KEY) viz.setPreset(editorReturnViz);
+  closePresetEditor();
+}
+
+function savePresetFromEditor() {
+  const name = document.getElementById('preset-name').value.trim();
+  if (!name) {
+    showStatus('Preset needs a name', 'error');
+    return;
+  }
+
+  // Store first: if that fails the editor stays open on the preview
+  const target = resolvePresetName(name, editorKey);
+  const preset = normalizePreset({ ...editorDraft, name: target.name });
+  const changes = { [target.key]: preset };
+  const replaced = editorKey && editorKey !== target.key; // Overwrote another preset
+  if (replaced) changes[editorKey] = null;
+  if (!saveCustomPresets(changes)) return;
+
+  viz.definePreset(target.key, preset);
+  viz.setPreset(target.key);
+  if (replaced) viz.deletePreset(editorKey);
+  closePresetEditor();
+
+  showStatus(`Preset "${target.name}" saved`, 'success');
+}
+
+function deletePresetFromEditor() {
+  if (!editorKey) return;
+  if (!saveCustomPresets({ [editorKey]: null })) return;
+
+  const name = presetList[editorKey].name;
+  if (editorReturnViz === editorKey) editorReturnViz = 'neural';
+  viz.setPreset(editorReturnViz);
+  viz.deletePreset(editorKey);
+  closePresetEditor();
+
+  showStatus(`Preset "${name}" deleted`, 'success');
+}
+
+function setupPresetEditor() {
+  document.getElementById('btn-edit-preset').addEventListener('click', () => {
+    if (editorDraft) {
+      cancelPresetEditor();
     } else {
-      node.scale.setScalar(targetScale);
+      openPresetEditor();
     }
-  };
-  animateSpawn();
-  
-  // Connect to nearby nodes
-  connectNewNode(node);
-  
-  updateHUD();
-}
-
-// === Connect New Node to Nearby Nodes ===
-function connectNewNode(newNode) {
-  const preset = VIZ_PRESETS[currentViz];
-  const material = new THREE.LineBasicMaterial({
-    color: preset.colors.accent,
-    transparent: true,
-    opacity: 0.5
   });
+  document.getElementById('preset-base').addEventListener('change', (e) => loadEditorDraft(e.target.value));
+  document.getElementById('preset-name').addEventListener('input', (e) => {
+    editorDraft.name = e.target.value;
+  });
+  document.getElementById('btn-save-preset').addEventListener('click', savePresetFromEditor);
+  document.getElementById('btn-delete-preset').addEventListener('click', deletePresetFromEditor);
+  document.getElementById('btn-cancel-preset').addEventListener('click', cancelPresetEditor);
+}
+
+// === Graph Files ===
+// Read a user-supplied File (picker or drag-and-drop) as JSON
+function readJsonFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        resolve(JSON.parse(reader.result));
+      } catch (err) {
+        reject(new Error('File is not valid JSON'));
+      }
+    };
+    reader.onerror = () => reject(new Error('Could not read file'));
+    reader.readAsText(file);
+  });
+}
 
-  // Connect to nearby existing nodes only (not to core)
-  for (let i = 0; i < nodes.length - 1; i++) {
-    const distance = newNode.position.distanceTo(nodes[i].position);
-    
-    if (distance < CONFIG.connectionDistance * 1.5) {
-      const geometry = new THREE.BufferGeometry().setFromPoints([
-        newNode.position.clone(),
-        nodes[i].position.clone()
-      ]);
-      const line = new THREE.Line(geometry, material.clone());
-      line.userData = { nodeIndex1: nodes.length - 1, nodeIndex2: i };
-      scene.add(line);
-      connections.push(line);
+async function loadGraphFile(file) {
+  try {
+    const result = viz.loadGraph(await readJsonFile(file));
+    showStatus(`Loaded ${result.nodes} nodes, ${result.edges} edges`, 'success');
+  } catch (err) {
+    showStatus(`Graph load failed: ${err.message}`, 'error');
+  }
+}
+
+// Load a graph from the ?graph=<url> query parameter, if present
+async function loadGraphFromUrlParam() {
+  const url = new URLSearchParams(window.location.search).get('graph');
+  if (!url) return;
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const result = viz.loadGraph(await response.json());
+    showStatus(`Loaded ${result.nodes} nodes, ${result.edges} edges`, 'success');
+  } catch (err) {
+    showStatus(`Graph load failed: ${err.message}`, 'error');
+  }
+}
+
+// === Drag-and-Drop Graph / Scene / Preset Files ===
+function onDragOver(event) {
+  event.preventDefault();
+  event.dataTransfer.dropEffect = 'copy';
+}
+
+async function onDrop(event) {
+  event.preventDefault();
+  const file = event.dataTransfer.files[0];
+  if (!file) return;
+
+  // Scenes and preset files carry a format marker; anything else is graph data
+  try {
+    const data = await readJsonFile(file);
+    if (data && data.format === SCENE_FORMAT) {
+      viz.restoreScene(data);
+      showStatus('Scene restored!', 'success');
+    } else if (data && data.format === PRESET_FILE_FORMAT) {
+      const presets = parsePresetFile(data);
+      importPresets(presets);
+      showStatus(`Imported ${presets.length} preset${presets.length === 1 ? '' : 's'}`, 'success');
+    } else {
+      const result = viz.loadGraph(data);
+      showStatus(`Loaded ${result.nodes} nodes, ${result.edges} edges`, 'success');
     }
+  } catch (err) {
+    showStatus(`Load failed: ${err.message}`, 'error');
   }
 }
 
-// === Reset Scene ===
-function resetScene() {
-  // Stop any recording
-  if (isRecording) {
-    stopRecording();
+// === Scene Files ===
+async function loadSceneFile(file) {
+  try {
+    viz.restoreScene(await readJsonFile(file));
+    showStatus('Scene restored!', 'success');
+  } catch (err) {
+    showStatus(`Scene load failed: ${err.message}`, 'error');
   }
-  
-  // Clear all pulses
-  dataPulses.forEach(p => scene.remove(p));
-  dataPulses = [];
-  
-  // Reset visualization to Neural Network
-  currentViz = 'neural';
-  document.getElementById('viz-select').value = 'neural';
-  
-  // Reset config to defaults
-  const preset = VIZ_PRESETS.neural;
-  CONFIG.nodeCount = preset.nodeCount;
-  CONFIG.connectionDistance = preset.connectionDistance;
-  CONFIG.colors.cyan = preset.colors.primary;
-  CONFIG.colors.magenta = preset.colors.secondary;
-  CONFIG.colors.yellow = preset.colors.accent;
-  
-  // Clear and rebuild entire scene
-  clearScene();
-  createCoreNode();
-  createNodes();
-  createConnections();
-  createParticlesForPreset(preset);
-  updateLightsForPreset(preset);
-  
-  // Reset camera
-  camera.position.set(0, 5, 12);
-  camera.lookAt(0, 0, 0);
-  controls.reset();
-  
-  // Reset mode to orbit
-  currentMode = 'orbit';
-  document.querySelectorAll('.control-btn[data-mode]').forEach(b => {
-    if (b.dataset.mode !== 'reset') b.classList.remove('active');
-  });
-  document.querySelector('[data-mode="orbit"]').classList.add('active');
-  
-  // Reset effects to defaults
-  bloomEnabled = true;
-  pulsesEnabled = true;
-  document.getElementById('btn-bloom').classList.add('active');
-  document.getElementById('btn-pulses').classList.add('active');
-  
-  // Turn off add node mode
-  addingNode = false;
-  document.getElementById('btn-add-node').classList.remove('active');
-  document.getElementById('click-hint').classList.remove('active');
-  
-  updateHUD();
-}
-
-// === Update HUD ===
-function updateHUD() {
-  document.getElementById('node-count').textContent = nodes.length;
-  document.getElementById('connection-count').textContent = connections.length;
-}
-
-// === Mouse Move Handler ===
-function onMouseMove(event) {
-  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-  
-  // Update 3D mouse position for gravity
-  raycaster.setFromCamera(mouse, camera);
-  const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
-  raycaster.ray.intersectPlane(plane, mouseWorld);
-}
-
-// === Apply Mouse Gravity to Particles ===
-function applyMouseGravity() {
-  if (!particleSystem || !mouseWorld) return;
-  
-  const positions = particleSystem.geometry.attributes.position.array;
-  
-  for (let i = 0; i < positions.length; i += 3) {
-    const dx = mouseWorld.x - positions[i];
-    const dy = mouseWorld.y - positions[i + 1];
-    const dz = mouseWorld.z - positions[i + 2];
-    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-    
-    if (dist < 5 && dist > 0.1) {
-      const force = mouseGravityStrength * 0.01 / (dist * dist);
-      positions[i] += dx * force;
-      positions[i + 1] += dy * force;
-      positions[i + 2] += dz * force;
+}
+
+function saveScene() {
+  const json = JSON.stringify(viz.serializeScene(), null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), timestampedName('json'));
+  showStatus('Scene saved!', 'success');
+}
+
+// === Share Links ===
+const SHARE_HASH_KEY = 'scene';
+const SHARE_HASH_BUDGET = 8000; // Max hash length; long URLs break in chat apps
+
+// Round floats so positions don't blow up the encoded size
+function compactJSON(value) {
+  return JSON.stringify(value, (key, v) =>
+    typeof v === 'number' && !Number.isInteger(v) ? Math.round(v * 1000) / 1000 : v
+  );
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Encode as "z.<deflated>" where CompressionStream exists, else "j.<json>"
+async function encodeSharePayload(doc) {
+  const json = compactJSON(doc);
+  if (typeof CompressionStream === 'undefined') {
+    return 'j.' + bytesToBase64Url(new TextEncoder().encode(json));
+  }
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return 'z.' + bytesToBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+async function decodeSharePayload(payload) {
+  const [scheme, data] = payload.split('.', 2);
+  const bytes = base64UrlToBytes(data || '');
+
+  if (scheme === 'j') {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+  if (scheme === 'z') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return JSON.parse(await new Response(stream).text());
+  }
+  throw new Error('Unknown link encoding');
+}
+
+/**
+ * Build a share URL for the current scene, dropping detail until it fits
+ * SHARE_HASH_BUDGET: particles first, then per-node state (the nodes and
+ * edges themselves, added ones included, travel as a graph), then the graph.
+ * @returns {Promise<{ url: string, level: string }>}
+ */
+async function createShareLink() {
+  const candidates = [
+    { level: 'full', doc: viz.serializeScene({ particles: true }) },
+    { level: 'topology', doc: viz.serializeScene() },
+    { level: 'graph', doc: { ...viz.serializeScene({ topology: false }), graph: viz.exportGraph() } },
+    { level: 'settings', doc: { ...viz.serializeScene({ topology: false }), graph: null } }
+  ];
+
+  const base = window.location.href.split('#')[0];
+  let hash;
+  for (const candidate of candidates) {
+    hash = `#${SHARE_HASH_KEY}=${await encodeSharePayload(candidate.doc)}`;
+    if (hash.length <= SHARE_HASH_BUDGET || candidate.level === 'settings') {
+      return { url: base + hash, level: candidate.level };
     }
   }
-  
-  particleSystem.geometry.attributes.position.needsUpdate = true;
 }
 
-// === Right-Click to Delete Node ===
-function onRightClick(event) {
-  event.preventDefault();
-  
-  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-  
-  raycaster.setFromCamera(mouse, camera);
-  const intersects = raycaster.intersectObjects(nodes);
-  
-  if (intersects.length > 0) {
-    deleteNode(intersects[0].object);
+async function shareScene() {
+  try {
+    const { url, level } = await createShareLink();
+    history.replaceState(null, '', url);
+
+    const notes = {
+      full: '',
+      topology: ' (particle state omitted)',
+      graph: ' (node state omitted)',
+      settings: ' (settings only - scene too large)'
+    };
+    try {
+      await navigator.clipboard.writeText(url);
+      showStatus(`Link copied${notes[level]}`, level === 'settings' ? 'warning' : 'success');
+    } catch (err) {
+      showStatus(`Link in address bar${notes[level]}`, level === 'settings' ? 'warning' : 'success');
+    }
+  } catch (err) {
+    showStatus(`Share failed: ${err.message}`, 'error');
   }
 }
 
-// === Delete Node ===
-function deleteNode(node) {
-  const nodeIndex = nodes.indexOf(node);
-  if (nodeIndex === -1) return;
-  
-  // Remove associated connections
-  const connectionsToRemove = connections.filter(conn => {
-    const data = conn.userData;
-    return data.nodeIndex === nodeIndex || 
-           data.nodeIndex1 === nodeIndex || 
-           data.nodeIndex2 === nodeIndex;
-  });
-  
-  connectionsToRemove.forEach(conn => {
-    scene.remove(conn);
-    connections.splice(connections.indexOf(conn), 1);
-  });
-  
-  // Remove node
-  scene.remove(node);
-  nodes.splice(nodeIndex, 1);
-  
-  // Update connection indices
-  connections.forEach(conn => {
-    const data = conn.userData;
-    if (data.nodeIndex > nodeIndex) data.nodeIndex--;
-    if (data.nodeIndex1 > nodeIndex) data.nodeIndex1--;
-    if (data.nodeIndex2 > nodeIndex) data.nodeIndex2--;
+// Restore a scene from #scene=... if present; resolves true when one was applied
+async function loadSceneFromHash() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const payload = params.get(SHARE_HASH_KEY);
+  if (!payload) return false;
+
+  try {
+    viz.restoreScene(await decodeSharePayload(payload));
+    showStatus('Shared scene loaded', 'success');
+    return true;
+  } catch (err) {
+    showStatus(`Shared link invalid: ${err.message}`, 'error');
+    return false;
+  }
+}
+
+// === Downloads ===
+function timestampedName(extension) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `ice-visualizer-${timestamp}.${extension}`;
+}
+
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = URL.createObjectURL(blob);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// === Screenshot ===
+function setupScreenshotControls() {
+  const panel = document.getElementById('screenshot-panel');
+  const scaleSelect = document.getElementById('screenshot-scale');
+  const widthInput = document.getElementById('screenshot-width');
+  const heightInput = document.getElementById('screenshot-height');
+  const formatSelect = document.getElementById('screenshot-format');
+  const qualityInput = document.getElementById('screenshot-quality');
+  const transparentInput = document.getElementById('screenshot-transparent');
+
+  // Scale presets are relative to the on-screen canvas (CSS pixels)
+  const updateSize = () => {
+    if (scaleSelect.value === 'custom') return;
+    const scale = parseFloat(scaleSelect.value);
+    widthInput.value = Math.round(container.clientWidth * scale);
+    heightInput.value = Math.round(container.clientHeight * scale);
+  };
+
+  const updateFormatFields = () => {
+    const output = SCREENSHOT_FORMATS[formatSelect.value];
+    qualityInput.disabled = !output.lossy;
+    transparentInput.disabled = !output.alpha;
+    document.getElementById('screenshot-quality-value').textContent =
+      output.lossy ? `${Math.round(qualityInput.value * 100)}%` : '—';
+  };
+
+  scaleSelect.addEventListener('change', updateSize);
+  [widthInput, heightInput].forEach(input => {
+    input.addEventListener('input', () => { scaleSelect.value = 'custom'; });
   });
-  
-  updateHUD();
-}
-
-// === Data Pulses ===
-const MAX_DATA_PULSES = 50; // Prevent unbounded growth
-
-function spawnDataPulse() {
-  if (connections.length === 0) return;
-  
-  // Limit active pulses to prevent memory issues
-  if (dataPulses.length >= MAX_DATA_PULSES) return;
-  
-  // Pick random connection
-  const conn = connections[Math.floor(Math.random() * connections.length)];
-  const positions = conn.geometry.attributes.position.array;
-  
-  const start = new THREE.Vector3(positions[0], positions[1], positions[2]);
-  const end = new THREE.Vector3(positions[3], positions[4], positions[5]);
-  
-  const preset = VIZ_PRESETS[currentViz];
-  
-  // Small, clean pulse using preset colors
-  const geometry = new THREE.SphereGeometry(0.04, 8, 8);
-  const material = new THREE.MeshBasicMaterial({
-    color: preset.colors.primary,
-    transparent: true,
-    opacity: 0.9
+  formatSelect.addEventListener('change', updateFormatFields);
+  qualityInput.addEventListener('input', updateFormatFields);
+
+  document.getElementById('btn-screenshot').addEventListener('click', () => {
+    updateSize();
+    updateFormatFields();
+    panel.classList.toggle('active');
   });
-  
-  const pulse = new THREE.Mesh(geometry, material);
-  pulse.position.copy(start);
-  pulse.userData = {
-    start: start.clone(),
-    end: end.clone(),
-    progress: 0,
-    speed: 0.015 + Math.random() * 0.02
-  };
-  
-  // Single subtle glow
-  const glowGeo = new THREE.SphereGeometry(0.08, 8, 8);
-  const glowMat = new THREE.MeshBasicMaterial({
-    color: preset.colors.primary,
-    transparent: true,
-    opacity: 0.3
+  document.getElementById('btn-screenshot-cancel').addEventListener('click', () => {
+    panel.classList.remove('active');
   });
-  const glow = new THREE.Mesh(glowGeo, glowMat);
-  pulse.add(glow);
-  
-  scene.add(pulse);
-  dataPulses.push(pulse);
-}
-
-function animateDataPulses() {
-  const toRemove = [];
-  
-  dataPulses.forEach(pulse => {
-    pulse.userData.progress += pulse.userData.speed;
-    
-    if (pulse.userData.progress >= 1) {
-      toRemove.push(pulse);
-    } else {
-      // Lerp position along connection
-      const t = pulse.userData.progress;
-      pulse.position.lerpVectors(pulse.userData.start, pulse.userData.end, t);
-      
-      // Fade out near end
-      const fade = t < 0.7 ? 0.9 : 0.9 * (1 - (t - 0.7) / 0.3);
-      pulse.material.opacity = fade;
-      if (pulse.children[0]) {
-        pulse.children[0].material.opacity = fade * 0.3;
-      }
+
+  document.getElementById('btn-screenshot-capture').addEventListener('click', async () => {
+    const width = parseInt(widthInput.value, 10);
+    const height = parseInt(heightInput.value, 10);
+    if (!(width > 0 && height > 0)) {
+      showStatus('Enter a screenshot size', 'error');
+      return;
+    }
+
+    panel.classList.remove('active');
+    showStatus('Capturing screenshot...');
+    try {
+      const blob = await viz.screenshot({
+        width,
+        height,
+        format: formatSelect.value,
+        quality: parseFloat(qualityInput.value),
+        transparent: transparentInput.checked,
+        includeLabels: document.getElementById('screenshot-labels').checked
+      });
+      downloadBlob(blob, timestampedName(SCREENSHOT_FORMATS[formatSelect.value].extension));
+      showStatus(`Screenshot saved! (${width}×${height})`, 'success');
+    } catch (err) {
+      showStatus(`Screenshot failed: ${err.message}`, 'error');
     }
-  });
-  
-  // Remove completed pulses
-  toRemove.forEach(pulse => {
-    scene.remove(pulse);
-    dataPulses.splice(dataPulses.indexOf(pulse), 1);
   });
 }
 
-// === Screenshot ===
-function takeScreenshot() {
-  showStatus('Capturing screenshot...');
-  
-  // Render one frame to ensure it's current
-  if (composer && bloomEnabled) {
-    composer.render();
-  } else {
-    renderer.render(scene, camera);
+// === GIF / Video Recording ===
+function formatElapsed(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+// Record indicator and the GIF / VIDEO buttons follow the running take
+function updateRecordingIndicator({ kind, active, elapsed, duration }) {
+  const indicator = document.getElementById('record-indicator');
+  const button = document.getElementById(kind === 'gif' ? 'btn-record' : 'btn-video');
+  recording = active ? kind : null;
+
+  indicator.classList.toggle('active', active);
+  if (kind === 'video') button.classList.toggle('active', active);
+  if (!active) {
+    indicator.textContent = '⏺ RECORDING...';
+    button.textContent = kind === 'gif' ? '🔴 GIF' : '🎬 VIDEO';
+    showStatus(kind === 'gif' ? 'Processing GIF...' : 'Processing video...');
+    return;
+  }
+
+  button.textContent = '⏹ STOP';
+  if (kind === 'gif' && elapsed === 0) {
+    showStatus(`Recording started... (max ${duration} seconds)`);
+  }
+  if (kind === 'video') {
+    const limit = duration > 0 ? ` / ${formatElapsed(duration)}` : '';
+    indicator.textContent = `⏺ REC ${formatElapsed(elapsed)}${limit}`;
   }
-  
-  // Get canvas data
-  const dataURL = renderer.domElement.toDataURL('image/png');
-  
-  // Create download link
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `ice-visualizer-${timestamp}.png`;
-  
-  const link = document.createElement('a');
-  link.download = filename;
-  link.href = dataURL;
-  link.click();
-  
-  showStatus('Screenshot saved!', 'success');
 }
 
-// === GIF Recording ===
 function toggleRecording() {
-  if (isRecording) {
-    stopRecording();
+  if (recording === 'gif') {
+    viz.stopRecording();
   } else {
-    startRecording();
+    document.getElementById('gif-panel').classList.toggle('active');
+  }
+}
+
+async function recordGif(options) {
+  try {
+    const blob = await viz.recordGif(options);
+    downloadBlob(blob, timestampedName('gif'));
+    showStatus('GIF saved!', 'success');
+  } catch (err) {
+    showStatus(err.message, 'error');
   }
 }
 
-function startRecording() {
-  isRecording = true;
-  recordedFrames = [];
-  
-  document.getElementById('record-indicator').classList.add('active');
-  document.getElementById('btn-record').textContent = '⏹ STOP';
-  document.getElementById('btn-record').classList.add('active');
-  
-  showStatus('Recording started... (max 5 seconds)');
-  
-  // Auto-stop after 5 seconds
-  setTimeout(() => {
-    if (isRecording) {
-      stopRecording();
+function setupGifControls() {
+  const panel = document.getElementById('gif-panel');
+
+  document.getElementById('btn-gif-start').addEventListener('click', () => {
+    const duration = parseFloat(document.getElementById('gif-duration').value);
+    if (!(duration > 0)) {
+      showStatus('Enter a GIF length', 'error');
+      return;
     }
-  }, 5000);
-}
-
-function captureFrame() {
-  if (!isRecording) return;
-  
-  // Capture every 3rd frame for smaller GIF
-  if (frameCount % 3 !== 0) return;
-  
-  // Max 50 frames
-  if (recordedFrames.length >= 50) {
-    stopRecording();
-    return;
+
+    panel.classList.remove('active');
+    recordGif({
+      width: parseInt(document.getElementById('gif-width').value, 10),
+      fps: parseInt(document.getElementById('gif-fps').value, 10),
+      duration,
+      repeat: parseInt(document.getElementById('gif-loop').value, 10),
+      quality: parseInt(document.getElementById('gif-quality').value, 10)
+    });
+  });
+
+  document.getElementById('btn-gif-cancel').addEventListener('click', () => {
+    panel.classList.remove('active');
+  });
+}
+
+async function recordVideo(options) {
+  showStatus(`Recording ${options.format.label} @ ${options.fps}fps`);
+  try {
+    const blob = await viz.recordVideo(options);
+    downloadBlob(blob, timestampedName(options.format.extension));
+    showStatus('Video saved!', 'success');
+  } catch (err) {
+    showStatus(err.message, 'error');
   }
-  
-  const canvas = renderer.domElement;
-  recordedFrames.push(canvas.toDataURL('image/png'));
-}
-
-function stopRecording() {
-  isRecording = false;
-  
-  document.getElementById('record-indicator').classList.remove('active');
-  document.getElementById('btn-record').textContent = '🔴 GIF';
-  document.getElementById('btn-record').classList.remove('active');
-  
-  if (recordedFrames.length < 5) {
-    showStatus('Recording too short', 'error');
-    recordedFrames = []; // Clear frames on failure
-    return;
+}
+
+function setupVideoControls() {
+  const panel = document.getElementById('video-panel');
+  const formatSelect = document.getElementById('video-format');
+  const formats = getSupportedVideoFormats();
+
+  formats.forEach((format, i) => {
+    const option = document.createElement('option');
+    option.value = i;
+    option.textContent = format.label;
+    formatSelect.appendChild(option);
+  });
+
+  document.getElementById('btn-video').addEventListener('click', () => {
+    if (recording === 'video') {
+      viz.stopRecording();
+      return;
+    }
+    if (formats.length === 0) {
+      showStatus('Video recording not supported in this browser', 'error');
+      return;
+    }
+    panel.classList.toggle('active');
+  });
+
+  document.getElementById('btn-video-start').addEventListener('click', () => {
+    panel.classList.remove('active');
+    recordVideo({
+      fps: parseInt(document.getElementById('video-fps').value, 10),
+      duration: parseFloat(document.getElementById('video-duration').value),
+      format: formats[parseInt(formatSelect.value, 10)]
+    });
+  });
+
+  document.getElementById('btn-video-cancel').addEventListener('click', () => {
+    panel.classList.remove('active');
+  });
+}
+
+// === Offline Rendering ===
+function showRenderProgress(done, total, label = 'Rendering') {
+  const el = document.getElementById('render-progress');
+  el.classList.add('active');
+  document.getElementById('render-progress-text').textContent =
+    `${label} ${done}/${total} (${Math.round((done / total) * 100)}%)`;
+  document.getElementById('render-progress-bar').style.width = `${(done / total) * 100}%`;
+}
+
+function hideRenderProgress() {
+  document.getElementById('render-progress').classList.remove('active');
+}
+
+async function renderOffline(options) {
+  try {
+    const result = await viz.renderOffline(options);
+    if (!result) {
+      showStatus('Render cancelled', 'error');
+      return;
+    }
+    downloadBlob(result.blob, timestampedName(result.extension));
+    showStatus(`Rendered ${Math.max(1, Math.round(options.duration * options.fps))} frames!`, 'success');
+  } catch (err) {
+    showStatus(`Render failed: ${err.message}`, 'error');
   }
-  
-  showStatus('Processing GIF...');
-  createGif();
 }
 
-// Clear recorded frames to free memory
-function clearRecordedFrames() {
-  recordedFrames = [];
+function setupOfflineRenderControls() {
+  const panel = document.getElementById('render-panel');
+  const resolution = document.getElementById('render-resolution');
+  const widthInput = document.getElementById('render-width');
+  const heightInput = document.getElementById('render-height');
+
+  // Presets fill the custom fields; typing in them switches to custom
+  resolution.addEventListener('change', () => {
+    if (resolution.value === 'custom') return;
+    const [w, h] = resolution.value.split('x');
+    widthInput.value = w;
+    heightInput.value = h;
+  });
+  [widthInput, heightInput].forEach(input => {
+    input.addEventListener('input', () => { resolution.value = 'custom'; });
+  });
+
+  document.getElementById('btn-render').addEventListener('click', () => {
+    panel.classList.toggle('active');
+  });
+  document.getElementById('btn-render-cancel').addEventListener('click', () => {
+    panel.classList.remove('active');
+  });
+  document.getElementById('btn-render-abort').addEventListener('click', () => viz.cancelRender());
+
+  document.getElementById('btn-render-start').addEventListener('click', () => {
+    const width = parseInt(widthInput.value, 10);
+    const height = parseInt(heightInput.value, 10);
+    const duration = parseFloat(document.getElementById('render-duration').value);
+    if (!(width > 0 && height > 0 && duration > 0)) {
+      showStatus('Enter a size and duration', 'error');
+      return;
+    }
+
+    panel.classList.remove('active');
+    renderOffline({
+      width,
+      height,
+      duration,
+      fps: parseInt(document.getElementById('render-fps').value, 10),
+      output: document.getElementById('render-output').value
+    });
+  });
+}
+
+// === Live Stream ===
+// Protocol: see Live Stream in ice-visualizer.js
+const STREAM_URL_KEY = 'ice-visualizer-stream-url';
+
+function updateStreamStatus(stream) {
+  const status = document.getElementById('stream-status');
+  const labels = {
+    off: 'OFF',
+    connecting: 'CONNECTING',
+    live: `LIVE · ${stream.messages}`,
+    retrying: `RETRY IN ${Math.round(stream.retryDelay / 1000)}s`
+  };
+  status.textContent = labels[stream.state] + (stream.errors > 0 ? ` · ${stream.errors} ERR` : '');
+  status.dataset.state = stream.state;
+  status.title = stream.url || '';
+
+  document.getElementById('btn-stream').classList.toggle('active', stream.state !== 'off');
+}
+
+// Connect and remember the URL for next time
+function connectStream(url) {
+  viz.connectStream(url);
+  try {
+    localStorage.setItem(STREAM_URL_KEY, viz.getState().stream.url);
+  } catch (err) {
+    // Private mode etc.; the URL just isn't remembered
+  }
 }
 
-function createGif() {
-  // Use gif.js library
-  const gif = new GIF({
-    workers: 2,
-    quality: 10,
-    width: 800,
-    height: 450,
-    workerScript: 'https://cdnjs.cloudflare.com/ajax/libs/gif.js/0.2.0/gif.worker.js'
+function setupStreamControls() {
+  const panel = document.getElementById('stream-panel');
+  const urlInput = document.getElementById('stream-url');
+  try {
+    urlInput.value = localStorage.getItem(STREAM_URL_KEY) || urlInput.value;
+  } catch (err) {
+    // Keep the default
+  }
+
+  document.getElementById('btn-stream').addEventListener('click', () => {
+    panel.classList.toggle('active');
   });
-  
-  let loadedImages = 0;
-  const totalImages = recordedFrames.length;
-  
-  recordedFrames.forEach((dataURL, index) => {
-    const img = new Image();
-    img.onload = () => {
-      // Scale down for smaller file
-      const tempCanvas = document.createElement('canvas');
-      tempCanvas.width = 800;
-      tempCanvas.height = 450;
-      const ctx = tempCanvas.getContext('2d');
-      ctx.drawImage(img, 0, 0, 800, 450);
-      
-      gif.addFrame(tempCanvas, { delay: 50, copy: true });
-      loadedImages++;
-      
-      if (loadedImages === totalImages) {
-        gif.on('finished', (blob) => {
-          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-          const filename = `ice-visualizer-${timestamp}.gif`;
-          
-          const link = document.createElement('a');
-          link.download = filename;
-          link.href = URL.createObjectURL(blob);
-          link.click();
-          
-          showStatus('GIF saved!', 'success');
-          recordedFrames = [];
-        });
-        
-        gif.render();
-      }
-    };
-    img.src = dataURL;
+  document.getElementById('btn-stream-close').addEventListener('click', () => {
+    panel.classList.remove('active');
+  });
+  document.getElementById('btn-stream-disconnect').addEventListener('click', () => viz.disconnectStream());
+  document.getElementById('btn-stream-connect').addEventListener('click', () => {
+    try {
+      connectStream(urlInput.value.trim());
+      panel.classList.remove('active');
+    } catch (err) {
+      showStatus(err.message, 'error');
+    }
   });
 }
 
+// ?stream=<url> connects on load
+function connectStreamFromUrlParam() {
+  const url = new URLSearchParams(window.location.search).get('stream');
+  if (!url) return;
+
+  try {
+    connectStream(url);
+  } catch (err) {
+    showStatus(`Stream failed: ${err.message}`, 'error');
+  }
+}
+
 // === Status Display ===
+let statusTimer = null;
+
 function showStatus(message, type = '') {
   const el = document.getElementById('export-status');
   el.textContent = message;
   el.className = 'export-status active ' + type;
-  
-  setTimeout(() => {
+
+  // Restart the timer so frequent updates (progress) don't flicker
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
     el.classList.remove('active');
   }, 3000);
 }
 
+// === Public API ===
+// The page's instance, plus the entry points this module always exported
+const { loadGraph, serializeScene, restoreScene, undo, redo, route, applyLayout } = viz;
+export { viz, loadGraph, serializeScene, restoreScene, undo, redo, route, applyLayout };
+
 // === Start ===
 init();
 
@@ -0,0 +1,242 @@
+/**
+ * ICE VISUALIZER - Force Layout
+ * One tick of a 3D force-directed layout: edge springs, Barnes-Hut node
+ * repulsion and gravity toward the origin, where the core sits. Works on
+ * flat xyz Float32Arrays; no Three.js here. The caller owns the cooling
+ * schedule and passes the current `alpha` (temperature) in.
+ */
+
+export const FORCE_DEFAULTS = {
+  linkDistance: 2,     // Spring rest length
+  linkStrength: 0.7,
+  charge: 0.15,        // Repulsion strength
+  theta: 0.9,          // Barnes-Hut opening angle (0 = exact)
+  gravity: 0.05,       // Pull toward the core
+  velocityDecay: 0.4,  // Friction per tick
+  distanceMin: 0.1     // Repulsion is capped below this distance
+};
+
+const MAX_TREE_DEPTH = 24; // Coincident nodes share a leaf past this
+
+// Octree storage, reused between ticks and grown as needed
+const tree = {
+  capacity: 0,
+  count: 0,
+  centerX: null, centerY: null, centerZ: null, half: null,
+  massX: null, massY: null, massZ: null, mass: null,
+  body: null,      // Node index for a leaf holding one node, else -1
+  children: null   // 8 cell indices per cell, -1 when absent
+};
+
+function ensureTreeCapacity(capacity) {
+  if (tree.capacity >= capacity) return;
+  const grow = (old, ArrayType, size = 1) => {
+    const array = new ArrayType(capacity * size);
+    if (old) array.set(old);
+    return array;
+  };
+  ['centerX', 'centerY', 'centerZ', 'half', 'massX', 'massY', 'massZ', 'mass'].forEach(key => {
+    tree[key] = grow(tree[key], Float64Array);
+  });
+  tree.body = grow(tree.body, Int32Array);
+  tree.children = grow(tree.children, Int32Array, 8);
+  tree.capacity = capacity;
+}
+
+function addCell(x, y, z, half) {
+  if (tree.count === tree.capacity) ensureTreeCapacity(tree.capacity * 2);
+  const cell = tree.count++;
+  tree.centerX[cell] = x;
+  tree.centerY[cell] = y;
+  tree.centerZ[cell] = z;
+  tree.half[cell] = half;
+  tree.massX[cell] = tree.massY[cell] = tree.massZ[cell] = tree.mass[cell] = 0;
+  tree.body[cell] = -1;
+  tree.children.fill(-1, cell * 8, cell * 8 + 8);
+  return cell;
+}
+
+// Child cell of `cell` containing point (x, y, z), created on demand
+function childFor(cell, x, y, z) {
+  const cx = tree.centerX[cell];
+  const cy = tree.centerY[cell];
+  const cz = tree.centerZ[cell];
+  const octant = (x >= cx ? 1 : 0) | (y >= cy ? 2 : 0) | (z >= cz ? 4 : 0);
+  let child = tree.children[cell * 8 + octant];
+  if (child === -1) {
+    const half = tree.half[cell] / 2;
+    child = addCell(
+      cx + (octant & 1 ? half : -half),
+      cy + (octant & 2 ? half : -half),
+      cz + (octant & 4 ? half : -half),
+      half
+    );
+    tree.children[cell * 8 + octant] = child;
+  }
+  return child;
+}
+
+function accumulate(cell, x, y, z) {
+  tree.massX[cell] += x;
+  tree.massY[cell] += y;
+  tree.massZ[cell] += z;
+  tree.mass[cell] += 1;
+}
+
+function buildTree(positions, count) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (z < minZ) minZ = z;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+    if (z > maxZ) maxZ = z;
+  }
+
+  ensureTreeCapacity(Math.max(64, count * 2));
+  tree.count = 0;
+  const half = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 + 1e-3;
+  addCell((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, half);
+
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    let cell = 0;
+
+    for (let depth = 0; ; depth++) {
+      if (tree.mass[cell] === 0) {
+        tree.body[cell] = i;
+        accumulate(cell, x, y, z);
+        break;
+      }
+
+      // A leaf holding one node splits so both can move down
+      const resident = tree.body[cell];
+      if (resident >= 0 && depth < MAX_TREE_DEPTH) {
+        tree.body[cell] = -1;
+        const rx = positions[resident * 3], ry = positions[resident * 3 + 1], rz = positions[resident * 3 + 2];
+        const child = childFor(cell, rx, ry, rz);
+        tree.body[child] = resident;
+        accumulate(child, rx, ry, rz);
+      }
+
+      accumulate(cell, x, y, z);
+      if (tree.body[cell] >= 0) break; // Too deep: share the leaf
+      cell = childFor(cell, x, y, z);
+    }
+  }
+}
+
+const stack = [];
+
+// Barnes-Hut repulsion on node i, added to its velocity
+function applyRepulsion(i, positions, velocities, alpha, params) {
+  const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+  const theta2 = params.theta * params.theta;
+  const distanceMin2 = params.distanceMin * params.distanceMin;
+  let fx = 0, fy = 0, fz = 0;
+
+  stack.length = 0;
+  stack.push(0);
+  while (stack.length > 0) {
+    const cell = stack.pop();
+    const mass = tree.mass[cell];
+    if (mass === 0) continue;
+
+    const dx = tree.massX[cell] / mass - x;
+    const dy = tree.massY[cell] / mass - y;
+    const dz = tree.massZ[cell] / mass - z;
+    let d2 = dx * dx + dy * dy + dz * dz;
+    const width = tree.half[cell] * 2;
+    const isLeaf = tree.body[cell] >= 0;
+
+    if (isLeaf || width * width < theta2 * d2) {
+      if (d2 < 1e-12) continue; // Itself, or exactly on top of it
+      if (d2 < distanceMin2) d2 = Math.sqrt(distanceMin2 * d2);
+      const w = params.charge * alpha * mass / d2;
+      fx -= dx * w;
+      fy -= dy * w;
+      fz -= dz * w;
+    } else {
+      for (let k = 0; k < 8; k++) {
+        const child = tree.children[cell * 8 + k];
+        if (child !== -1) stack.push(child);
+      }
+    }
+  }
+
+  velocities[i * 3] += fx;
+  velocities[i * 3 + 1] += fy;
+  velocities[i * 3 + 2] += fz;
+}
+
+/**
+ * Advance the layout one tick in place.
+ * @param {Float32Array} positions - xyz per node
+ * @param {Float32Array} velocities - xyz per node
+ * @param {Int32Array} edges - Node index pairs; -1 stands for the core, which is fixed at the origin
+ * @param {number} alpha - Current temperature; every force scales with it
+ * @param {object} [params] - Overrides for FORCE_DEFAULTS
+ * @param {number} [pinned=-1] - Node held in place (e.g. being dragged)
+ */
+export function stepForceLayout(positions, velocities, edges, alpha, params = {}, pinned = -1) {
+  const p = { ...FORCE_DEFAULTS, ...params };
+  const count = positions.length / 3;
+  if (count === 0) return;
+
+  // Springs: the better-connected end moves less
+  const degree = new Int32Array(count);
+  for (let e = 0; e < edges.length; e += 2) {
+    if (edges[e] >= 0) degree[edges[e]]++;
+    if (edges[e + 1] >= 0) degree[edges[e + 1]]++;
+  }
+  for (let e = 0; e < edges.length; e += 2) {
+    const a = edges[e];
+    const b = edges[e + 1];
+    const ax = a >= 0 ? positions[a * 3] + velocities[a * 3] : 0;
+    const ay = a >= 0 ? positions[a * 3 + 1] + velocities[a * 3 + 1] : 0;
+    const az = a >= 0 ? positions[a * 3 + 2] + velocities[a * 3 + 2] : 0;
+    const bx = b >= 0 ? positions[b * 3] + velocities[b * 3] : 0;
+    const by = b >= 0 ? positions[b * 3 + 1] + velocities[b * 3 + 1] : 0;
+    const bz = b >= 0 ? positions[b * 3 + 2] + velocities[b * 3 + 2] : 0;
+
+    let dx = bx - ax, dy = by - ay, dz = bz - az;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1e-6;
+    const k = ((length - p.linkDistance) / length) * alpha * p.linkStrength;
+    dx *= k;
+    dy *= k;
+    dz *= k;
+
+    // The core never moves, so its partner takes the whole correction
+    const bias = a < 0 ? 1 : b < 0 ? 0 : degree[a] / (degree[a] + degree[b]);
+    if (b >= 0) {
+      velocities[b * 3] -= dx * bias;
+      velocities[b * 3 + 1] -= dy * bias;
+      velocities[b * 3 + 2] -= dz * bias;
+    }
+    if (a >= 0) {
+      velocities[a * 3] += dx * (1 - bias);
+      velocities[a * 3 + 1] += dy * (1 - bias);
+      velocities[a * 3 + 2] += dz * (1 - bias);
+    }
+  }
+
+  // Repulsion
+  buildTree(positions, count);
+  for (let i = 0; i < count; i++) {
+    applyRepulsion(i, positions, velocities, alpha, p);
+  }
+
+  // Gravity toward the core, then integrate
+  const friction = 1 - p.velocityDecay;
+  for (let i = 0; i < count * 3; i++) {
+    if (Math.floor(i / 3) === pinned) {
+      velocities[i] = 0;
+      continue;
+    }
+    velocities[i] = (velocities[i] - positions[i] * p.gravity * alpha) * friction;
+    positions[i] += velocities[i];
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * ICE VISUALIZER - Graph Analytics
+ * Structural metrics for an undirected graph given as a vertex count and a
+ * list of [a, b] vertex index pairs. No Three.js or DOM here. Distances are
+ * hop counts; edge weights are ignored.
+ */
+
+// Neighbor lists per vertex; duplicate edges and self-loops are dropped
+export function buildAdjacency(vertexCount, edges) {
+  const neighbors = Array.from({ length: vertexCount }, () => new Set());
+  edges.forEach(([a, b]) => {
+    if (a === b) return;
+    neighbors[a].add(b);
+    neighbors[b].add(a);
+  });
+  return neighbors.map(set => Int32Array.from(set));
+}
+
+/**
+ * Label connected components.
+ * @param {Int32Array[]} adjacency
+ * @returns {{ count: number, labels: Int32Array, sizes: number[] }}
+ *   Component index per vertex, largest component first
+ */
+export function connectedComponents(adjacency) {
+  const n = adjacency.length;
+  const labels = new Int32Array(n).fill(-1);
+  const queue = new Int32Array(n);
+  let sizes = [];
+
+  for (let start = 0; start < n; start++) {
+    if (labels[start] !== -1) continue;
+    const label = sizes.length;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    labels[start] = label;
+    while (head < tail) {
+      const v = queue[head++];
+      for (const w of adjacency[v]) {
+        if (labels[w] === -1) {
+          labels[w] = label;
+          queue[tail++] = w;
+        }
+      }
+    }
+    sizes.push(tail);
+  }
+
+  // Renumber so component 0 is the largest
+  const order = sizes.map((size, label) => label).sort((a, b) => sizes[b] - sizes[a] || a - b);
+  const rank = new Int32Array(order.length);
+  order.forEach((label, i) => { rank[label] = i; });
+  for (let v = 0; v < n; v++) labels[v] = rank[labels[v]];
+  sizes = order.map(label => sizes[label]);
+
+  return { count: sizes.length, labels, sizes };
+}
+
+/**
+ * Betweenness centrality (Brandes) and diameter from one BFS per source.
+ * Past `maxSources` vertices only evenly spaced sources are used: betweenness
+ * is scaled up to match and the diameter becomes a lower bound.
+ * @param {Int32Array[]} adjacency
+ * @param {number} [maxSources=Infinity]
+ * @returns {{ betweenness: Float64Array, diameter: number, exact: boolean }}
+ *   Betweenness normalized to [0, 1]
+ */
+export function betweennessCentrality(adjacency, maxSources = Infinity) {
+  const n = adjacency.length;
+  const betweenness = new Float64Array(n);
+  const sigma = new Float64Array(n);
+  const dist = new Int32Array(n);
+  const delta = new Float64Array(n);
+  const order = new Int32Array(n);
+  let diameter = 0;
+
+  const sourceCount = Math.min(n, maxSources);
+  const stride = n / sourceCount;
+
+  for (let k = 0; k < sourceCount; k++) {
+    const s = Math.floor(k * stride);
+    sigma.fill(0);
+    dist.fill(-1);
+    delta.fill(0);
+    sigma[s] = 1;
+    dist[s] = 0;
+
+    // BFS; `order` doubles as the queue and the visit order
+    let head = 0;
+    let tail = 0;
+    order[tail++] = s;
+    while (head < tail) {
+      const v = order[head++];
+      for (const w of adjacency[v]) {
+        if (dist[w] < 0) {
+          dist[w] = dist[v] + 1;
+          order[tail++] = w;
+        }
+        if (dist[w] === dist[v] + 1) sigma[w] += sigma[v];
+      }
+    }
+    diameter = Math.max(diameter, dist[order[tail - 1]]);
+
+    // Accumulate dependencies farthest first
+    for (let i = tail - 1; i > 0; i--) {
+      const w = order[i];
+      for (const v of adjacency[w]) {
+        if (dist[v] === dist[w] - 1) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+      betweenness[w] += delta[w];
+    }
+  }
+
+  // Each pair was counted from both ends; scale sampled sums to the full set
+  // and normalize by the number of pairs that could pass through a vertex
+  const pairs = ((n - 1) * (n - 2)) / 2;
+  const scale = pairs > 0 ? (n / sourceCount) / 2 / pairs : 0;
+  for (let v = 0; v < n; v++) betweenness[v] *= scale;
+
+  return { betweenness, diameter, exact: sourceCount === n };
+}
+
+/**
+ * Every metric the visualizer shows.
+ * @param {number} vertexCount
+ * @param {Array<[number, number]>} edges
+ * @param {object} [options]
+ * @param {number} [options.maxSources] - Betweenness sampling limit
+ * @param {number} [options.hubCount=3] - How many hubs to report
+ * @returns {{
+ *   degree: Int32Array, betweenness: Float64Array, components: object,
+ *   averageDegree: number, density: number, diameter: number,
+ *   diameterExact: boolean, hubs: number[], maxDegree: number,
+ *   maxBetweenness: number
+ * }} Hubs are vertex indices by descending degree
+ */
+export function analyzeGraph(vertexCount, edges, { maxSources = Infinity, hubCount = 3 } = {}) {
+  const adjacency = buildAdjacency(vertexCount, edges);
+  const degree = Int32Array.from(adjacency, list => list.length);
+  const edgeCount = degree.reduce((sum, d) => sum + d, 0) / 2;
+  const { betweenness, diameter, exact } = betweennessCentrality(adjacency, maxSources);
+
+  const hubs = Array.from(degree.keys())
+    .filter(v => degree[v] > 0)
+    .sort((a, b) => degree[b] - degree[a] || betweenness[b] - betweenness[a] || a - b)
+    .slice(0, hubCount);
+
+  return {
+    degree,
+    betweenness,
+    components: connectedComponents(adjacency),
+    averageDegree: vertexCount > 0 ? (2 * edgeCount) / vertexCount : 0,
+    density: vertexCount > 1 ? (2 * edgeCount) / (vertexCount * (vertexCount - 1)) : 0,
+    diameter,
+    diameterExact: exact,
+    hubs,
+    maxDegree: degree.reduce((max, d) => Math.max(max, d), 0),
+    maxBetweenness: betweenness.reduce((max, b) => Math.max(max, b), 0)
+  };
+}
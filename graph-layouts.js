@@ -0,0 +1,244 @@
+/**
+ * ICE VISUALIZER - Graph Layouts
+ * Deterministic node arrangements around the core, which sits fixed at the
+ * origin. A graph is `{ count, edges, groups }`: node count, an Int32Array
+ * of node index pairs where -1 stands for the core, and a group key per node
+ * (used by shells-by-type). Layouts return xyz positions as a Float32Array.
+ * No Three.js here.
+ */
+import { createRandom } from './particle-sim.js';
+
+export const LAYOUTS = ['scatter', 'rings', 'shells-type', 'shells-degree', 'hierarchy', 'grid', 'galaxy'];
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+const MAX_SHELLS = 5;
+const GALAXY_ARMS = 3;
+
+// Neighbor lists; the core is vertex `count`
+function buildNeighbors(count, edges) {
+  const neighbors = Array.from({ length: count + 1 }, () => []);
+  for (let e = 0; e < edges.length; e += 2) {
+    const a = edges[e] < 0 ? count : edges[e];
+    const b = edges[e + 1] < 0 ? count : edges[e + 1];
+    if (a === b) continue;
+    neighbors[a].push(b);
+    neighbors[b].push(a);
+  }
+  return neighbors;
+}
+
+/**
+ * Hop distance from the core, by BFS. Nodes the core can't reach hang off it
+ * as if linked directly, starting from the best-connected one of each part.
+ * @returns {{ depth: Int32Array, parent: Int32Array }} depth >= 1 per node;
+ *   parent is the BFS parent, or -1 for nodes one hop from the core
+ */
+export function hopDepths(count, edges) {
+  const neighbors = buildNeighbors(count, edges);
+  const depth = new Int32Array(count + 1).fill(-1);
+  const parent = new Int32Array(count + 1).fill(-1);
+  const queue = [];
+
+  const search = (root, rootDepth) => {
+    depth[root] = rootDepth;
+    queue.length = 0;
+    queue.push(root);
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      for (const w of neighbors[v]) {
+        if (depth[w] !== -1) continue;
+        depth[w] = depth[v] + 1;
+        parent[w] = v === count ? -1 : v;
+        queue.push(w);
+      }
+    }
+  };
+
+  search(count, 0);
+  const byDegree = Array.from({ length: count }, (_, i) => i)
+    .sort((a, b) => neighbors[b].length - neighbors[a].length || a - b);
+  byDegree.forEach(v => {
+    if (depth[v] === -1) search(v, 1);
+  });
+
+  return { depth: depth.subarray(0, count), parent: parent.subarray(0, count) };
+}
+
+// Nodes bucketed by a key, buckets in ascending key order
+function bucketBy(count, keyOf) {
+  const buckets = new Map();
+  for (let i = 0; i < count; i++) {
+    const key = keyOf(i);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  }
+  return [...buckets.entries()].sort((a, b) => a[0] - b[0]).map(([, members]) => members);
+}
+
+// Concentric rings facing the camera (XY plane), one per hop from the core
+function ringsLayout({ count, edges }, positions, { spacing }) {
+  const { depth } = hopDepths(count, edges);
+  let radius = 0;
+  bucketBy(count, i => depth[i]).forEach(ring => {
+    // Far enough out to clear the last ring and fit this one's nodes
+    radius = Math.max(radius + spacing * 1.5, (ring.length * spacing) / (Math.PI * 2));
+    const offset = ring.length > 0 ? Math.PI / ring.length : 0;
+    ring.forEach((v, k) => {
+      const angle = (k / ring.length) * Math.PI * 2 + offset;
+      positions[v * 3] = Math.cos(angle) * radius;
+      positions[v * 3 + 1] = Math.sin(angle) * radius;
+      positions[v * 3 + 2] = 0;
+    });
+  });
+}
+
+// Nested spheres, one per bucket, points spread by the Fibonacci spiral
+function placeShells(shells, positions, spacing) {
+  let radius = 0;
+  shells.forEach(shell => {
+    radius = Math.max(radius + spacing * 1.5, Math.sqrt((shell.length * spacing * spacing) / (Math.PI * 4)));
+    shell.forEach((v, k) => {
+      const y = shell.length > 1 ? 1 - (k / (shell.length - 1)) * 2 : 0;
+      const ring = Math.sqrt(1 - y * y);
+      const theta = k * GOLDEN_ANGLE;
+      positions[v * 3] = Math.cos(theta) * ring * radius;
+      positions[v * 3 + 1] = y * radius;
+      positions[v * 3 + 2] = Math.sin(theta) * ring * radius;
+    });
+  });
+}
+
+// One shell per group, largest group innermost
+function shellsByTypeLayout({ count, groups }, positions, { spacing }) {
+  const members = new Map();
+  for (let i = 0; i < count; i++) {
+    const key = String(groups?.[i] ?? '');
+    if (!members.has(key)) members.set(key, []);
+    members.get(key).push(i);
+  }
+  const shells = [...members.entries()]
+    .sort((a, b) => b[1].length - a[1].length || (a[0] < b[0] ? -1 : 1))
+    .map(([, shell]) => shell);
+  placeShells(shells, positions, spacing);
+}
+
+// Hubs innermost, then up to MAX_SHELLS - 1 more shells by degree rank
+function shellsByDegreeLayout({ count, edges }, positions, { spacing }) {
+  const neighbors = buildNeighbors(count, edges);
+  const ranked = Array.from({ length: count }, (_, i) => i)
+    .sort((a, b) => neighbors[b].length - neighbors[a].length || a - b);
+  const shellCount = Math.min(MAX_SHELLS, new Set(ranked.map(v => neighbors[v].length)).size);
+  const shells = Array.from({ length: shellCount }, () => []);
+  ranked.forEach((v, rank) => {
+    shells[Math.floor((rank / count) * shellCount)].push(v);
+  });
+  placeShells(shells, positions, spacing);
+}
+
+// Layers hanging down from the core (XY plane); each layer is ordered by its
+// parents' slots so branches stay together
+function hierarchyLayout({ count, edges }, positions, { spacing, radius }) {
+  const { depth, parent } = hopDepths(count, edges);
+  const slot = new Float64Array(count);
+  const maxWidth = radius * 3; // Crowded layers squeeze rather than sprawl
+
+  bucketBy(count, i => depth[i]).forEach(layer => {
+    const order = layer
+      .map(v => ({ v, key: parent[v] === -1 ? 0 : slot[parent[v]] }))
+      .sort((a, b) => a.key - b.key || a.v - b.v);
+    const gap = order.length > 1 ? Math.min(spacing, maxWidth / (order.length - 1)) : 0;
+    const width = (order.length - 1) * gap;
+    order.forEach(({ v }, k) => {
+      slot[v] = k * gap - width / 2;
+      positions[v * 3] = slot[v];
+      positions[v * 3 + 1] = -depth[v] * spacing * 2;
+      positions[v * 3 + 2] = 0;
+    });
+  });
+}
+
+// Square grid facing the camera around the core, nearest hops in the middle
+function gridLayout({ count, edges }, positions, { spacing }) {
+  const { depth } = hopDepths(count, edges);
+  const order = Array.from({ length: count }, (_, i) => i).sort((a, b) => depth[a] - depth[b] || a - b);
+
+  // Cells in rings of growing distance from the center, skipping the core's
+  const side = Math.ceil(Math.sqrt(count + 1)) | 1;
+  const half = (side - 1) / 2;
+  const cells = [];
+  for (let row = 0; row < side; row++) {
+    for (let col = 0; col < side; col++) {
+      const x = col - half;
+      const y = half - row;
+      if (x !== 0 || y !== 0) cells.push([x, y]);
+    }
+  }
+  cells.sort((a, b) => Math.max(Math.abs(a[0]), Math.abs(a[1])) - Math.max(Math.abs(b[0]), Math.abs(b[1])) ||
+    Math.atan2(a[1], a[0]) - Math.atan2(b[1], b[0]));
+
+  order.forEach((v, k) => {
+    positions[v * 3] = cells[k][0] * spacing;
+    positions[v * 3 + 1] = cells[k][1] * spacing;
+    positions[v * 3 + 2] = 0;
+  });
+}
+
+// Spiral-armed disk in the XZ plane, thicker toward the middle
+function galaxyLayout({ count, edges }, positions, { spacing, radius }) {
+  const { depth } = hopDepths(count, edges);
+  const order = Array.from({ length: count }, (_, i) => i).sort((a, b) => depth[a] - depth[b] || a - b);
+  const random = createRandom(count);
+  const outer = Math.max(radius, Math.sqrt(count) * spacing * 0.6);
+  const inner = spacing * 1.5;
+
+  order.forEach((v, k) => {
+    const t = count > 1 ? Math.sqrt(k / (count - 1)) : 0;
+    const r = inner + (outer - inner) * t;
+    const arm = (k % GALAXY_ARMS) * ((Math.PI * 2) / GALAXY_ARMS);
+    const angle = arm + t * Math.PI * 2.5 + (random() - 0.5) * 0.4;
+    positions[v * 3] = Math.cos(angle) * r;
+    positions[v * 3 + 1] = (random() - 0.5) * spacing * (1 - t * 0.8);
+    positions[v * 3 + 2] = Math.sin(angle) * r;
+  });
+}
+
+// Seeded sphere scatter, like the initial random graph
+function scatterLayout({ count }, positions, { radius, seed }) {
+  const random = createRandom(seed);
+  for (let v = 0; v < count; v++) {
+    const r = radius * (0.3 + random() * 0.7);
+    const theta = random() * Math.PI * 2;
+    const phi = Math.acos(2 * random() - 1);
+    positions[v * 3] = r * Math.sin(phi) * Math.cos(theta);
+    positions[v * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+    positions[v * 3 + 2] = r * Math.cos(phi);
+  }
+}
+
+const LAYOUT_FUNCTIONS = {
+  scatter: scatterLayout,
+  rings: ringsLayout,
+  'shells-type': shellsByTypeLayout,
+  'shells-degree': shellsByDegreeLayout,
+  hierarchy: hierarchyLayout,
+  grid: gridLayout,
+  galaxy: galaxyLayout
+};
+
+/**
+ * Positions for every node under a named layout.
+ * @param {string} name - One of LAYOUTS
+ * @param {{ count: number, edges: Int32Array, groups?: string[] }} graph
+ * @param {object} [options]
+ * @param {number} [options.spacing=1.2] - Minimum gap between neighbors
+ * @param {number} [options.radius=8] - Overall size for scatter, hierarchy width and galaxy
+ * @param {number} [options.seed=1] - Scatter seed
+ * @returns {Float32Array} xyz per node
+ */
+export function computeLayout(name, graph, { spacing = 1.2, radius = 8, seed = 1 } = {}) {
+  const layout = LAYOUT_FUNCTIONS[name];
+  if (!layout) throw new Error(`Unknown layout "${name}"`);
+  const positions = new Float32Array(graph.count * 3);
+  if (graph.count > 0) layout(graph, positions, { spacing, radius, seed });
+  return positions;
+}
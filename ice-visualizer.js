@@ -0,0 +1,5179 @@
+/**
+ * ICE VISUALIZER - Embeddable Core
+ * `createIceVisualizer(container, options)` builds a complete visualizer
+ * inside any element: renderer, label layer, pointer interaction, particle
+ * worker and live stream. All state lives in the instance, so a page can run
+ * several side by side; `destroy()` releases everything an instance holds.
+ * Nothing here touches the page outside `container`. HUDs, panels, keyboard
+ * shortcuts and URL handling belong to the host (app.js is the stock UI) and
+ * are driven through the instance methods and events (see Events).
+ */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { createRandom, stepParticles, applyMouseGravity } from './particle-sim.js';
+import { analyzeGraph } from './graph-analytics.js';
+import { stepForceLayout } from './force-layout.js';
+import { LAYOUTS, computeLayout } from './graph-layouts.js';
+
+// === Configuration ===
+// Defaults; each instance works on its own copy (presets rewrite the counts
+// and colors, `options.transitionDuration` overrides the morph time)
+const CONFIG = {
+  nodeCount: 80,
+  connectionDistance: 3.5,
+  nodeSize: 0.08,
+  coreSize: 0.15,
+  fieldSize: 8,
+  rotationSpeed: 0.0003,
+  pulseSpeed: 0.02,
+  transitionDuration: 1.2, // Seconds to morph between visualizations (0 = hard cut)
+  colors: {
+    cyan: 0x02d7f2,
+    magenta: 0xff00aa,
+    yellow: 0xffeb0b,
+    white: 0xffffff,
+    background: 0x000008
+  }
+};
+
+// Node motion styles (see Animation Mode)
+const ANIMATION_MODES = ['orbit', 'pulse', 'expand', 'force'];
+
+// What a plain click on the canvas does: pick a node, place a new one, or
+// pick the two ends of a route
+const TOOLS = ['select', 'add', 'route'];
+
+// gif.js is loaded as a classic script (window.GIF); its worker is fetched
+// from here unless `options.gifWorkerScript` says otherwise
+const GIF_WORKER_SCRIPT = 'vendor/gif.js/gif.worker.js';
+
+// === Visualization Presets ===
+// The built-ins every instance starts with. `behavior` picks the particle
+// simulation; custom presets (see Presets) inherit it from the preset they
+// were cloned from
+const VIZ_PRESETS = {
+  neural: {
+    behavior: 'neural',
+    name: 'Neural Network',
+    particleCount: 500,
+    particleSize: 0.03,
+    particleSpeed: 0.0002,
+    nodeCount: 80,
+    connectionDistance: 3.5,
+    colors: { primary: 0x02d7f2, secondary: 0xff00aa, accent: 0xffeb0b }
+  },
+  storm: {
+    behavior: 'storm',
+    name: 'Data Storm',
+    particleCount: 2000,
+    particleSize: 0.02,
+    particleSpeed: 0.003,
+    nodeCount: 40,
+    connectionDistance: 2.5,
+    colors: { primary: 0xff00aa, secondary: 0xffeb0b, accent: 0x02d7f2 }
+  },
+  constellation: {
+    behavior: 'constellation',
+    name: 'Constellation',
+    particleCount: 300,
+    particleSize: 0.05,
+    particleSpeed: 0.0001,
+    nodeCount: 50,
+    connectionDistance: 5,
+    colors: { primary: 0xffffff, secondary: 0x02d7f2, accent: 0xffeb0b }
+  },
+  swarm: {
+    behavior: 'swarm',
+    name: 'Swarm Intelligence',
+    particleCount: 200,
+    particleSize: 0.06,
+    particleSpeed: 0.008,
+    nodeCount: 30,
+    connectionDistance: 4,
+    perceptionRadius: 3,
+    separationWeight: 2,
+    alignmentWeight: 1,
+    cohesionWeight: 0.5,
+    maxSpeed: 0.03,
+    colors: { primary: 0x00ff88, secondary: 0x02d7f2, accent: 0xff00aa }
+  },
+  matrix: {
+    behavior: 'matrix',
+    name: 'Matrix Rain',
+    particleCount: 1000,
+    particleSize: 0.025,
+    particleSpeed: 0.002,
+    nodeCount: 60,
+    connectionDistance: 3,
+    colors: { primary: 0x00ff00, secondary: 0x00aa00, accent: 0xffffff }
+  }
+};
+
+// === Node Types ===
+// Each type draws with its own geometry (one instanced batch per type), has
+// its own idle motion and decides what a data pulse does when it arrives:
+//   pass    - the pulse ends
+//   relay   - the pulse carries on along another of the node's links
+//   reflect - the pulse is blocked and bounces back the way it came
+//   absorb  - the pulse ends and the node glows
+//   alert   - the pulse ends and the node fires a pulse down every other link
+// Unknown types (free-form categories from imported graphs) draw and behave
+// as 'default'. Geometries are sized to a unit radius; node.radius scales them.
+const NODE_TYPES = {
+  default: {
+    name: 'Node',
+    glyph: '◆',
+    color: null, // Keeps the per-node color
+    geometry: () => new THREE.OctahedronGeometry(1, 0),
+    idle: (node) => {
+      node.rotation.x += 0.01;
+      node.rotation.y += 0.01;
+    },
+    pulse: 'pass'
+  },
+  server: {
+    name: 'Server',
+    glyph: '■',
+    color: 0x02d7f2,
+    geometry: () => new THREE.BoxGeometry(1.1, 1.6, 1.1),
+    idle: (node) => {
+      node.rotation.y += 0.006;
+    },
+    pulse: 'pass'
+  },
+  gateway: {
+    name: 'Gateway',
+    glyph: '◎',
+    color: 0xffeb0b,
+    geometry: () => new THREE.TorusGeometry(0.8, 0.3, 8, 20),
+    idle: (node) => {
+      node.rotation.x += 0.02;
+      node.rotation.y += 0.012;
+    },
+    pulse: 'relay'
+  },
+  firewall: {
+    name: 'ICE Barrier',
+    glyph: '⬢',
+    color: 0xff00aa,
+    geometry: () => new THREE.CylinderGeometry(1, 1, 0.5, 6),
+    idle: (node, t) => {
+      // Faces the core and flickers like an unstable barrier
+      node.lookAt(0, 0, 0);
+      node.rotateX(Math.PI / 2);
+      if (Math.sin(t * 17 + node.userData.phase * 5) > 0.92) node.glow = Math.max(node.glow, 0.6);
+    },
+    pulse: 'reflect'
+  },
+  vault: {
+    name: 'Data Vault',
+    glyph: '⬟',
+    color: 0x39ff88,
+    geometry: () => new THREE.DodecahedronGeometry(1, 0),
+    idle: (node) => {
+      node.rotation.y += 0.003;
+    },
+    pulse: 'absorb'
+  },
+  sentry: {
+    name: 'Sentry',
+    glyph: '▲',
+    color: 0xff5522,
+    geometry: () => new THREE.ConeGeometry(0.8, 1.8, 4),
+    idle: (node, t) => {
+      // Sweeps back and forth like a scanner
+      node.rotation.set(0, Math.sin(t * 0.8 + node.userData.phase) * Math.PI * 0.75, 0);
+    },
+    pulse: 'alert'
+  }
+};
+
+const NODE_GLOW_DECAY = 0.95; // Per tick
+
+// Type key a node draws and behaves as
+function nodeTypeKey(node) {
+  const type = node.userData.type;
+  return Object.hasOwn(NODE_TYPES, type) ? type : 'default';
+}
+
+function nodeTypeOf(node) {
+  return NODE_TYPES[nodeTypeKey(node)];
+}
+
+// === Seeds ===
+// Numeric seeds are used as-is; anything else is hashed (FNV-1a)
+function parseSeed(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function randomSeed() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+// === Graph Data ===
+/*
+ * Graph JSON schema accepted by loadGraph() and the live stream's "graph"
+ * and "addNode" events (the stock UI also reads it from files and ?graph=):
+ *
+ * {
+ *   "nodes": [
+ *     {
+ *       "id": "web-01",             // required, unique
+ *       "label": "Web Frontend",    // optional, defaults to id
+ *       "type": "server",           // optional, see NODE_TYPES; other values are free-form categories
+ *       "color": "#02d7f2",         // optional, CSS hex string or 0xRRGGBB number
+ *       "position": [2, 1.5, -3]    // optional, [x, y, z] or { x, y, z }
+ *     }
+ *   ],
+ *   "edges": [
+ *     { "source": "web-01", "target": "db-01", "weight": 1 }  // weight optional
+ *   ]
+ * }
+ *
+ * An edge whose source or target is "core" links the node to the central hub.
+ * Nodes without a position are auto-placed on a shell around the core, and
+ * nodes without a color take their node type's color, or one from the current
+ * preset for categories that are not node types.
+ */
+const CORE_NODE_ID = 'core';
+
+// Parse "#02d7f2", "0x02d7f2" or a number into a hex color number
+function parseColor(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string') {
+    const hex = value.trim().replace(/^(#|0x)/i, '');
+    if (/^[0-9a-f]{6}$/i.test(hex)) return parseInt(hex, 16);
+    if (/^[0-9a-f]{3}$/i.test(hex)) {
+      return parseInt(hex.split('').map(c => c + c).join(''), 16);
+    }
+  }
+  return null;
+}
+
+function parsePosition(value) {
+  if (Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)) {
+    return new THREE.Vector3(value[0], value[1], value[2]);
+  }
+  if (value && [value.x, value.y, value.z].every(Number.isFinite)) {
+    return new THREE.Vector3(value.x, value.y, value.z);
+  }
+  return null;
+}
+
+// Validate raw graph JSON and normalize it; throws with a readable message
+function normalizeGraph(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Graph must be a JSON object');
+  }
+  if (!Array.isArray(data.nodes)) {
+    throw new Error('Graph is missing a "nodes" array');
+  }
+  if (data.edges !== undefined && !Array.isArray(data.edges)) {
+    throw new Error('Graph "edges" must be an array');
+  }
+
+  const ids = new Set();
+  const graphNodes = data.nodes.map((raw, i) => {
+    if (!raw || (typeof raw.id !== 'string' && typeof raw.id !== 'number')) {
+      throw new Error(`Node #${i} has no id`);
+    }
+    const id = String(raw.id);
+    if (id === CORE_NODE_ID) {
+      throw new Error(`Node id "${CORE_NODE_ID}" is reserved for the central hub`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`Duplicate node id "${id}"`);
+    }
+    ids.add(id);
+
+    if (raw.color !== undefined && parseColor(raw.color) === null) {
+      throw new Error(`Node "${id}" has an invalid color`);
+    }
+    if (raw.position !== undefined && !parsePosition(raw.position)) {
+      throw new Error(`Node "${id}" has an invalid position`);
+    }
+
+    return {
+      id,
+      label: raw.label !== undefined ? String(raw.label) : id,
+      type: raw.type !== undefined ? String(raw.type) : 'default',
+      color: raw.color !== undefined ? parseColor(raw.color) : null,
+      position: raw.position !== undefined ? parsePosition(raw.position) : null
+    };
+  });
+
+  const graphEdges = (data.edges || []).map((raw, i) => {
+    if (!raw || raw.source === undefined || raw.target === undefined) {
+      throw new Error(`Edge #${i} needs a source and a target`);
+    }
+    const source = String(raw.source);
+    const target = String(raw.target);
+    [source, target].forEach(id => {
+      if (id !== CORE_NODE_ID && !ids.has(id)) {
+        throw new Error(`Edge #${i} references unknown node "${id}"`);
+      }
+    });
+    if (source === target) {
+      throw new Error(`Edge #${i} connects "${source}" to itself`);
+    }
+    if (raw.weight !== undefined && !Number.isFinite(raw.weight)) {
+      throw new Error(`Edge #${i} has an invalid weight`);
+    }
+    return { source, target, weight: raw.weight !== undefined ? raw.weight : 1 };
+  });
+
+  return { nodes: graphNodes, edges: graphEdges };
+}
+
+// Spread nodes evenly over a shell around the core (Fibonacci sphere)
+function autoPlacePosition(index, total) {
+  const radius = CONFIG.fieldSize * 0.65;
+  const y = total > 1 ? 1 - (index / (total - 1)) * 2 : 0;
+  const ring = Math.sqrt(1 - y * y);
+  const theta = index * Math.PI * (3 - Math.sqrt(5));
+  return new THREE.Vector3(
+    Math.cos(theta) * ring * radius,
+    y * radius,
+    Math.sin(theta) * ring * radius
+  );
+}
+
+// === Preset Schema ===
+const PRESET_BEHAVIORS = ['neural', 'storm', 'constellation', 'swarm', 'matrix'];
+const PRESET_COLOR_KEYS = ['primary', 'secondary', 'accent'];
+
+// Editable numeric preset fields; drives the editor form and validation
+const PRESET_FIELDS = [
+  { key: 'particleCount', label: 'PARTICLES', min: 0, max: 20000, step: 50, integer: true },
+  { key: 'particleSize', label: 'PARTICLE SIZE', min: 0.005, max: 0.5, step: 0.005 },
+  { key: 'particleSpeed', label: 'PARTICLE SPEED', min: 0, max: 0.05, step: 0.0001 },
+  { key: 'nodeCount', label: 'NODES', min: 0, max: 1000, step: 5, integer: true },
+  { key: 'connectionDistance', label: 'LINK DISTANCE', min: 0, max: 20, step: 0.1 },
+  // Behavior-specific fields are optional and fall back to `default`
+  { key: 'perceptionRadius', label: 'PERCEPTION', min: 0.2, max: 10, step: 0.1, behavior: 'swarm', default: 3 },
+  { key: 'separationWeight', label: 'SEPARATION', min: 0, max: 10, step: 0.1, behavior: 'swarm', default: 2 },
+  { key: 'alignmentWeight', label: 'ALIGNMENT', min: 0, max: 10, step: 0.1, behavior: 'swarm', default: 1 },
+  { key: 'cohesionWeight', label: 'COHESION', min: 0, max: 10, step: 0.1, behavior: 'swarm', default: 0.5 },
+  { key: 'maxSpeed', label: 'MAX SPEED', min: 0.001, max: 0.5, step: 0.001, behavior: 'swarm', default: 0.03 }
+];
+
+// Fields that apply to presets with the given behavior
+function presetFieldsFor(behavior) {
+  return PRESET_FIELDS.filter(field => !field.behavior || field.behavior === behavior);
+}
+
+function colorToCss(color) {
+  return '#' + color.toString(16).padStart(6, '0');
+}
+
+/**
+ * Validate a preset definition and return a clean copy.
+ * Throws with a readable message on the first problem found.
+ * @param {object} raw - Preset object (e.g. parsed from JSON)
+ * @returns {object} Preset with only known fields, colors as numbers
+ */
+function normalizePreset(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Preset must be an object');
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim()) {
+    throw new Error('Preset needs a name');
+  }
+  if (!PRESET_BEHAVIORS.includes(raw.behavior)) {
+    throw new Error(`Preset behavior must be one of: ${PRESET_BEHAVIORS.join(', ')}`);
+  }
+
+  const preset = { behavior: raw.behavior, name: raw.name.trim().slice(0, 40) };
+
+  presetFieldsFor(raw.behavior).forEach(field => {
+    const value = raw[field.key] === undefined && field.default !== undefined ? field.default : raw[field.key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Preset "${field.key}" must be a number`);
+    }
+    if (value < field.min || value > field.max) {
+      throw new Error(`Preset "${field.key}" must be between ${field.min} and ${field.max}`);
+    }
+    if (field.integer && !Number.isInteger(value)) {
+      throw new Error(`Preset "${field.key}" must be a whole number`);
+    }
+    preset[field.key] = value;
+  });
+
+  if (!raw.colors || typeof raw.colors !== 'object') {
+    throw new Error('Preset is missing "colors"');
+  }
+  preset.colors = {};
+  PRESET_COLOR_KEYS.forEach(key => {
+    const color = parseColor(raw.colors[key]);
+    if (color === null || color < 0 || color > 0xffffff) {
+      throw new Error(`Preset color "${key}" is invalid`);
+    }
+    preset.colors[key] = color;
+  });
+
+  return preset;
+}
+
+// === Scene Save / Restore ===
+const SCENE_FORMAT = 'ice-visualizer-scene';
+const SCENE_VERSION = 1;
+
+// Convert userData values to JSON, tagging vectors so they can be revived
+function serializeValue(value) {
+  if (value && value.isVector3) return { $vec3: value.toArray() };
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (value && typeof value === 'object') {
+    const out = {};
+    Object.entries(value).forEach(([key, v]) => { out[key] = serializeValue(v); });
+    return out;
+  }
+  return value;
+}
+
+function deserializeValue(value) {
+  if (Array.isArray(value)) return value.map(deserializeValue);
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.$vec3)) return new THREE.Vector3().fromArray(value.$vec3);
+    const out = {};
+    Object.entries(value).forEach(([key, v]) => { out[key] = deserializeValue(v); });
+    return out;
+  }
+  return value;
+}
+
+function graphToJSON(graph) {
+  return {
+    nodes: graph.nodes.map(n => ({
+      id: n.id,
+      label: n.label,
+      type: n.type,
+      ...(n.color !== null && { color: n.color }),
+      ...(n.position && { position: n.position.toArray() })
+    })),
+    edges: graph.edges.map(e => ({ ...e }))
+  };
+}
+
+// === Screenshot ===
+const SCREENSHOT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png', alpha: true, lossy: false },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', alpha: false, lossy: true },
+  webp: { mimeType: 'image/webp', extension: 'webp', alpha: true, lossy: true }
+};
+
+// === Video Recording ===
+// Records the live canvas with MediaRecorder at its native resolution
+const VIDEO_FORMATS = [
+  { mimeType: 'video/mp4;codecs=avc1', extension: 'mp4', label: 'MP4 (H.264)' },
+  { mimeType: 'video/webm;codecs=vp9', extension: 'webm', label: 'WEBM (VP9)' },
+  { mimeType: 'video/webm;codecs=vp8', extension: 'webm', label: 'WEBM (VP8)' },
+  { mimeType: 'video/webm', extension: 'webm', label: 'WEBM' },
+  { mimeType: 'video/mp4', extension: 'mp4', label: 'MP4' }
+];
+const VIDEO_BITS_PER_PIXEL = 0.15; // Bitrate per pixel per frame
+
+function getSupportedVideoFormats() {
+  if (typeof MediaRecorder === 'undefined') return [];
+  return VIDEO_FORMATS.filter(format => MediaRecorder.isTypeSupported(format.mimeType));
+}
+
+// === ZIP Writer ===
+// Minimal store-only (uncompressed) ZIP, enough for PNG sequences which
+// don't compress further anyway. File data is kept as Blobs so the browser
+// can page large archives out of memory. No ZIP64: sizes and offsets are
+// 32-bit, so addFile() throws once the archive would pass 4 GB or 65535 files.
+const ZIP_MAX_BYTES = 0xffffffff;
+const ZIP_MAX_ENTRIES = 0xffff;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZipWriter() {
+  const parts = [];
+  const entries = [];
+  let offset = 0;
+  let directorySize = 0;
+  
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  
+  return {
+    async addFile(name, blob) {
+      const data = new Uint8Array(await blob.arrayBuffer());
+      const nameBytes = new TextEncoder().encode(name);
+      const recordSize = 46 + nameBytes.length;
+      if (entries.length >= ZIP_MAX_ENTRIES ||
+          offset + 30 + nameBytes.length + data.length + directorySize + recordSize + 22 > ZIP_MAX_BYTES) {
+        throw new Error('ZIP limit reached (4 GB, 65535 files); render fewer frames or a smaller size');
+      }
+      const crc = crc32(data);
+      
+      const header = new Uint8Array(30 + nameBytes.length);
+      const view = new DataView(header.buffer);
+      view.setUint32(0, 0x04034b50, true);  // Local file header signature
+      view.setUint16(4, 20, true);          // Version needed
+      view.setUint16(10, dosTime, true);
+      view.setUint16(12, dosDate, true);
+      view.setUint32(14, crc, true);
+      view.setUint32(18, data.length, true); // Compressed size
+      view.setUint32(22, data.length, true); // Uncompressed size
+      view.setUint16(26, nameBytes.length, true);
+      header.set(nameBytes, 30);
+      
+      parts.push(header, blob);
+      entries.push({ nameBytes, crc, size: data.length, offset });
+      offset += header.length + data.length;
+      directorySize += recordSize;
+    },
+    
+    finish() {
+      entries.forEach(entry => {
+        const record = new Uint8Array(46 + entry.nameBytes.length);
+        const view = new DataView(record.buffer);
+        view.setUint32(0, 0x02014b50, true);  // Central directory signature
+        view.setUint16(4, 20, true);          // Version made by
+        view.setUint16(6, 20, true);          // Version needed
+        view.setUint16(12, dosTime, true);
+        view.setUint16(14, dosDate, true);
+        view.setUint32(16, entry.crc, true);
+        view.setUint32(20, entry.size, true);
+        view.setUint32(24, entry.size, true);
+        view.setUint16(28, entry.nameBytes.length, true);
+        view.setUint32(42, entry.offset, true);
+        record.set(entry.nameBytes, 46);
+        parts.push(record);
+      });
+      
+      const end = new Uint8Array(22);
+      const view = new DataView(end.buffer);
+      view.setUint32(0, 0x06054b50, true);    // End of central directory
+      view.setUint16(8, entries.length, true);
+      view.setUint16(10, entries.length, true);
+      view.setUint32(12, directorySize, true);
+      view.setUint32(16, offset, true);
+      parts.push(end);
+      
+      return new Blob(parts, { type: 'application/zip' });
+    }
+  };
+}
+
+// === Export Helpers ===
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Frame encoding failed'))), type, quality);
+  });
+}
+
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a visualizer that fills `container` and follows its size.
+ * @param {HTMLElement} container - Element the canvas and label layer go into
+ * @param {object} [options]
+ * @param {number|string} [options.seed] - Scene seed (default: a random one)
+ * @param {string} [options.preset='neural'] - Starting preset key
+ * @param {string} [options.mode='orbit'] - Starting animation mode
+ * @param {number} [options.transitionDuration=1.2] - Seconds to morph between presets (0 = hard cut)
+ * @param {object} [options.presets] - Extra presets by key (see normalizePreset)
+ * @param {string} [options.gifWorkerScript] - URL of gif.js's worker script
+ * @returns {object} The instance (see Instance at the end of the factory)
+ */
+export function createIceVisualizer(container, options = {}) {
+  if (!container || typeof container.appendChild !== 'function') {
+    throw new Error('createIceVisualizer needs a container element');
+  }
+
+  // === Instance State ===
+  const config = { ...CONFIG, colors: { ...CONFIG.colors } };
+  if (Number.isFinite(options.transitionDuration)) {
+    config.transitionDuration = Math.max(0, options.transitionDuration);
+  }
+  const gifWorkerScript = options.gifWorkerScript || GIF_WORKER_SCRIPT;
+
+  // Preset registry: the built-ins plus this instance's custom presets
+  const presets = { ...VIZ_PRESETS };
+
+  let scene, camera, renderer, controls;
+  let nodes = [];
+  let connections = [];
+  let particleSystem;
+  let coreNode;
+  let time = 0;
+  let currentMode = 'orbit';
+  let currentViz = 'neural';
+  let frameCount = 0;
+  let lastTime = performance.now();
+  let tool = 'select'; // What a click on the canvas does (see setTool)
+  let raycaster, mouse;
+
+  // Post-processing
+  let composer, bloomPass;
+  let bloomEnabled = true;
+  let pulsesEnabled = true;
+  let dynamicLinksEnabled = false;
+
+  // Data pulses
+  let dataPulses = [];
+
+  // Seeded randomness (see createRandom)
+  let currentSeed = 0;
+  let random, particleRandom, pulseRandom, simRandom;
+  let pulseClock = 0;
+
+  // Loaded graph data (null = random generation)
+  let loadedGraph = null;
+  let nodeIdCounter = 0;
+
+  // Mouse interaction
+  let mouseWorld = new THREE.Vector3();
+  let mouseGravityStrength = 0.5;
+
+  // Recording
+  let isRecording = false;
+  let gifRecorder = null;
+  let recordedFrames = [];
+
+  // Animation frame IDs for destroy()
+  let animationFrameId = null;
+  const spawnFrames = new Map(); // node -> frame of its spawn animation
+  let resizeObserver = null;
+  let containerPosition = null; // Inline position to put back on destroy()
+  let destroyed = false;
+
+  // === Initialization ===
+  function init() {
+    // Options are checked before anything is attached to the page
+    Object.entries(options.presets || {}).forEach(([key, preset]) => definePreset(key, preset));
+    if (options.preset !== undefined) {
+      if (!presets[options.preset]) throw new Error(`Unknown preset "${options.preset}"`);
+      currentViz = options.preset;
+    }
+    if (options.mode !== undefined && !ANIMATION_MODES.includes(options.mode)) {
+      throw new Error(`Unknown animation mode "${options.mode}"`);
+    }
+
+    const { width, height } = viewportSize();
+
+    // Scene
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(config.colors.background);
+    scene.fog = new THREE.FogExp2(config.colors.background, 0.05);
+
+    // Camera
+    camera = new THREE.PerspectiveCamera(
+      60,
+      width / height,
+      0.1,
+      1000
+    );
+    camera.position.set(0, 5, 12);
+
+    // Renderer
+    renderer = new THREE.WebGLRenderer({
+      antialias: true,
+      alpha: true
+    });
+    renderer.setSize(width, height);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.domElement.style.display = 'block';
+
+    // The label layer is positioned against the container
+    if (getComputedStyle(container).position === 'static') {
+      containerPosition = container.style.position;
+      container.style.position = 'relative';
+    }
+    container.appendChild(renderer.domElement);
+
+    // Node labels (HTML, overlaid on the canvas)
+    setupLabels();
+
+    // Controls
+    controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.05;
+    controls.enablePan = false;
+    controls.minDistance = 5;
+    controls.maxDistance = 30;
+    controls.autoRotate = true;
+    controls.autoRotateSpeed = 0.5;
+
+    usePresetConfig(presets[currentViz]);
+
+    // Seed before anything random is generated
+    setSeed(options.seed !== undefined ? parseSeed(options.seed) : randomSeed());
+
+    // Create scene elements
+    createLights();
+    createCoreNode();
+    createNodes();
+    createConnections();
+    createParticlesForPreset(presets[currentViz]);
+
+    // Raycaster for adding nodes
+    raycaster = new THREE.Raycaster();
+    mouse = new THREE.Vector2();
+
+    // Post-processing
+    setupPostProcessing();
+
+    // Pointer interaction stays on the canvas
+    const canvas = renderer.domElement;
+    canvas.addEventListener('click', onCanvasClick);
+    canvas.addEventListener('contextmenu', onRightClick);
+    // Capture phase so a node drag can disable OrbitControls before it reacts
+    canvas.addEventListener('pointerdown', onCanvasPointerDown, true);
+    canvas.addEventListener('pointermove', onMouseMove);
+    canvas.addEventListener('pointermove', onCanvasPointerMove);
+    canvas.addEventListener('pointerup', onCanvasPointerUp);
+
+    // The canvas follows the container, whatever resizes it
+    resizeObserver = new ResizeObserver(() => onResize());
+    resizeObserver.observe(container);
+
+    if (options.mode !== undefined) setAnimationMode(options.mode);
+
+    // Particle physics off the main thread (falls back to in-thread)
+    createParticleWorker();
+
+    // Start animation
+    animate();
+  }
+
+  // === Destroy ===
+  // Everything the instance holds: loop, exports in progress, stream, worker,
+  // listeners, GPU resources and its elements in the container. Pending
+  // export promises reject; the instance can't be used afterwards.
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+
+    // Cancel animation frame
+    if (animationFrameId) {
+      cancelAnimationFrame(animationFrameId);
+      animationFrameId = null;
+    }
+    spawnFrames.forEach(frame => cancelAnimationFrame(frame));
+    spawnFrames.clear();
+
+    // Stop recording if active
+    if (isRecording) {
+      isRecording = false;
+      gifRecorder.reject(new Error('Recording cancelled'));
+      clearRecordedFrames();
+    }
+    if (videoRecording) {
+      videoRecording.discard = true;
+      videoRecording.recorder.stop();
+    }
+    cancelOfflineRender();
+
+    // Remove event listeners
+    const canvas = renderer.domElement;
+    canvas.removeEventListener('click', onCanvasClick);
+    canvas.removeEventListener('contextmenu', onRightClick);
+    canvas.removeEventListener('pointerdown', onCanvasPointerDown, true);
+    canvas.removeEventListener('pointermove', onMouseMove);
+    canvas.removeEventListener('pointermove', onCanvasPointerMove);
+    canvas.removeEventListener('pointerup', onCanvasPointerUp);
+    resizeObserver.disconnect();
+
+    stopParticleWorker();
+    disconnectStream();
+
+    // Dispose Three.js objects
+    disposeScene();
+    controls.dispose();
+
+    // Dispose renderer
+    renderer.dispose();
+    renderer.forceContextLoss();
+
+    // Dispose composer
+    composer.dispose();
+
+    // Hand the container back as it was
+    canvas.remove();
+    labelRenderer.domElement.remove();
+    if (containerPosition !== null) container.style.position = containerPosition;
+
+    listeners.clear();
+  }
+
+  // === Dispose Scene Objects ===
+  function disposeScene() {
+    // Dispose anything still fading out
+    finishTransition();
+
+    // Dispose nodes and connections (drawn by the graph batches)
+    nodes = [];
+    connections = [];
+    disposeGraphBatches();
+    disposeSelectionHalo();
+    disposeLabels();
+
+    // Dispose particles
+    if (particleSystem) {
+      if (particleSystem.geometry) particleSystem.geometry.dispose();
+      if (particleSystem.material) particleSystem.material.dispose();
+    }
+
+    // Dispose core node
+    if (coreNode) {
+      coreNode.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    }
+
+    // Dispose data pulses
+    clearDataPulses();
+  }
+
+  // === Post-Processing Setup ===
+  function setupPostProcessing() {
+    composer = new EffectComposer(renderer);
+
+    const renderPass = new RenderPass(scene, camera);
+    composer.addPass(renderPass);
+
+    // Bloom pass
+    bloomPass = new UnrealBloomPass(
+      new THREE.Vector2(viewportSize().width, viewportSize().height),
+      1.5,  // strength
+      0.4,  // radius
+      0.85  // threshold
+    );
+    composer.addPass(bloomPass);
+  }
+
+  // === Lights ===
+  function createLights() {
+    // Ambient light
+    const ambient = new THREE.AmbientLight(0x111122, 0.5);
+    scene.add(ambient);
+
+    // Point lights for dramatic effect
+    const light1 = new THREE.PointLight(config.colors.cyan, 2, 20);
+    light1.position.set(5, 5, 5);
+    scene.add(light1);
+
+    const light2 = new THREE.PointLight(config.colors.magenta, 2, 20);
+    light2.position.set(-5, -5, 5);
+    scene.add(light2);
+
+    const light3 = new THREE.PointLight(config.colors.yellow, 1, 15);
+    light3.position.set(0, 8, 0);
+    scene.add(light3);
+  }
+
+  // === Core Node (Central Hub) ===
+  function createCoreNode() {
+    // Outer glow sphere
+    const glowGeometry = new THREE.SphereGeometry(config.coreSize * 3, 32, 32);
+    const glowMaterial = new THREE.MeshBasicMaterial({
+      color: config.colors.cyan,
+      transparent: true,
+      opacity: 0.1,
+      side: THREE.BackSide
+    });
+    const glowSphere = new THREE.Mesh(glowGeometry, glowMaterial);
+
+    // Core icosahedron
+    const coreGeometry = new THREE.IcosahedronGeometry(config.coreSize, 1);
+    const coreMaterial = new THREE.MeshStandardMaterial({
+      color: config.colors.cyan,
+      emissive: config.colors.cyan,
+      emissiveIntensity: 0.5,
+      metalness: 0.8,
+      roughness: 0.2,
+      wireframe: true
+    });
+    coreNode = new THREE.Mesh(coreGeometry, coreMaterial);
+    coreNode.add(glowSphere); // Child so it's removed and faded with the core
+    scene.add(coreNode);
+
+    // Inner solid core
+    const innerGeometry = new THREE.IcosahedronGeometry(config.coreSize * 0.6, 0);
+    const innerMaterial = new THREE.MeshStandardMaterial({
+      color: config.colors.yellow,
+      emissive: config.colors.yellow,
+      emissiveIntensity: 0.8,
+      metalness: 1,
+      roughness: 0
+    });
+    const innerCore = new THREE.Mesh(innerGeometry, innerMaterial);
+    coreNode.add(innerCore);
+  }
+
+  // === Data Nodes ===
+  function createNodes() {
+    // A loaded graph replaces the random scatter
+    if (loadedGraph) {
+      buildGraph(loadedGraph);
+      return;
+    }
+
+    for (let i = 0; i < config.nodeCount; i++) {
+      // Random position in spherical distribution
+      const radius = config.fieldSize * (0.3 + random() * 0.7);
+      const theta = random() * Math.PI * 2;
+      const phi = Math.acos(2 * random() - 1);
+
+      const x = radius * Math.sin(phi) * Math.cos(theta);
+      const y = radius * Math.sin(phi) * Math.sin(theta);
+      const z = radius * Math.cos(phi);
+
+      // Determine node type/color
+      const colorChoice = random();
+      let color, emissiveIntensity;
+
+      if (colorChoice < 0.5) {
+        color = config.colors.cyan;
+        emissiveIntensity = 0.3;
+      } else if (colorChoice < 0.8) {
+        color = config.colors.magenta;
+        emissiveIntensity = 0.4;
+      } else {
+        color = config.colors.yellow;
+        emissiveIntensity = 0.5;
+      }
+
+      const node = createNodeObject(new THREE.Vector3(x, y, z), { emissiveIntensity });
+
+      // Store original position for animations
+      node.userData = {
+        id: generateNodeId(),
+        originalPosition: new THREE.Vector3(x, y, z),
+        phase: random() * Math.PI * 2,
+        speed: 0.5 + random() * 0.5,
+        color: color
+      };
+
+      nodes.push(node);
+    }
+  }
+
+  // === Connections Between Nodes ===
+  function createConnections() {
+    // Loaded graphs bring their own edges (see buildGraph)
+    if (loadedGraph) return;
+
+    // Connect nodes that are close enough
+    for (let i = 0; i < nodes.length; i++) {
+      // Connect to core
+      const distToCore = nodes[i].position.length();
+      if (distToCore < config.connectionDistance * 1.5) {
+        connections.push(createConnection({ nodeIndex: i, toCore: true, auto: true }));
+      }
+
+      // Connect to nearby nodes
+      for (let j = i + 1; j < nodes.length; j++) {
+        const distance = nodes[i].position.distanceTo(nodes[j].position);
+
+        if (distance < config.connectionDistance) {
+          connections.push(createConnection({ nodeIndex1: i, nodeIndex2: j, auto: true }));
+        }
+      }
+    }
+  }
+
+  let newNodeType = 'default'; // Type given to nodes placed with + NODE
+
+  function setNewNodeType(type) {
+    newNodeType = Object.hasOwn(NODE_TYPES, type) ? type : 'default';
+  }
+
+  // Node count per type key
+  function typeCounts() {
+    const counts = {};
+    nodes.forEach(node => {
+      const key = nodeTypeKey(node);
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+  }
+
+  // === Graph Batches ===
+  // Nodes and connections are plain records drawn by batched objects: one
+  // InstancedMesh per node type and one LineSegments for every connection.
+  // Both are rebuilt from `nodes`/`connections` each frame (syncGraphBatches),
+  // so code elsewhere just edits the records.
+  //
+  // A node is an Object3D that is never added to the scene; its transform,
+  // `radius`, `emissiveIntensity`, `glow`, `opacity` and userData.color become
+  // instance data; `glow` is extra emissive that decays back to zero.
+  // A connection is `{ userData, color, opacity, fade, highlight }`, where `fade`
+  // scales opacity while dynamic links appear or break and `highlight` blends
+  // it toward the route color (see Routing).
+  const GRAPH_BATCH_MIN_CAPACITY = 256;
+
+  let nodeBatches = new Map(); // Node type key -> THREE.InstancedMesh
+  let edgeBatch = null;  // THREE.LineSegments
+
+  const batchMatrix = new THREE.Matrix4();
+  const batchScale = new THREE.Vector3();
+  const batchColor = new THREE.Color();
+  const batchStart = new THREE.Vector3();
+  const batchEnd = new THREE.Vector3();
+
+  function createNodeObject(position, { emissiveIntensity = 0.4, radius = config.nodeSize } = {}) {
+    const node = new THREE.Object3D();
+    node.position.copy(position);
+    node.radius = radius;
+    node.emissiveIntensity = emissiveIntensity;
+    node.glow = 0;
+    node.opacity = 1;
+    return node;
+  }
+
+  function createConnection(userData, { color = config.colors.cyan, opacity = 0.3, fade = 1 } = {}) {
+    return { userData, color: new THREE.Color(color), opacity, fade, fadingOut: false, highlight: 0 };
+  }
+
+  // Write a connection's current endpoints into start/end
+  function getConnectionEndpoints(conn, start, end) {
+    const data = conn.userData;
+    if (data.toCore) {
+      start.set(0, 0, 0);
+      end.copy(nodes[data.nodeIndex].position);
+    } else {
+      start.copy(nodes[data.nodeIndex1].position);
+      end.copy(nodes[data.nodeIndex2].position);
+    }
+  }
+
+  // Connections as node index pairs with -1 for the core, the form the layout
+  // modules take
+  function graphEdgePairs() {
+    const edges = new Int32Array(connections.length * 2);
+    connections.forEach((conn, i) => {
+      const data = conn.userData;
+      edges[i * 2] = data.toCore ? -1 : data.nodeIndex1;
+      edges[i * 2 + 1] = data.toCore ? data.nodeIndex : data.nodeIndex2;
+    });
+    return edges;
+  }
+
+  // Per-instance emissive strength and opacity on top of the standard material;
+  // the instance color tints both the surface and the glow
+  function createNodeMaterial() {
+    const material = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      emissive: 0xffffff,
+      emissiveIntensity: 1,
+      metalness: 0.9,
+      roughness: 0.1
+    });
+
+    material.onBeforeCompile = (shader) => {
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          attribute float instanceEmissive;
+          attribute float instanceOpacity;
+          varying float vInstanceEmissive;
+          varying float vInstanceOpacity;`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+          vInstanceEmissive = instanceEmissive;
+          vInstanceOpacity = instanceOpacity;`);
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+          varying float vInstanceEmissive;
+          varying float vInstanceOpacity;`)
+        .replace('#include <color_fragment>', `#include <color_fragment>
+          diffuseColor.a *= vInstanceOpacity;`)
+        .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+          totalEmissiveRadiance *= vColor * vInstanceEmissive;`);
+    };
+
+    return material;
+  }
+
+  function createNodeBatch(typeKey, capacity) {
+    const geometry = NODE_TYPES[typeKey].geometry();
+    geometry.setAttribute('instanceEmissive', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+    geometry.setAttribute('instanceOpacity', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+
+    const batch = new THREE.InstancedMesh(geometry, createNodeMaterial(), capacity);
+    batch.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    batch.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    batch.instanceColor.setUsage(THREE.DynamicDrawUsage);
+    batch.count = 0;
+    batch.frustumCulled = false; // Bounds change every frame
+    batch.userData.nodes = []; // Instance id -> node
+    return batch;
+  }
+
+  function createEdgeBatch(capacity) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 6), 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 8), 4).setUsage(THREE.DynamicDrawUsage));
+    geometry.setDrawRange(0, 0);
+
+    const material = new THREE.LineBasicMaterial({
+      vertexColors: true,
+      transparent: true
+    });
+
+    const batch = new THREE.LineSegments(geometry, material);
+    batch.userData.capacity = capacity;
+    batch.frustumCulled = false;
+    return batch;
+  }
+
+  function disposeBatch(batch) {
+    scene.remove(batch);
+    batch.geometry.dispose();
+    batch.material.dispose();
+    if (batch.isInstancedMesh) batch.dispose();
+  }
+
+  function disposeGraphBatches() {
+    nodeBatches.forEach(disposeBatch);
+    if (edgeBatch) disposeBatch(edgeBatch);
+    nodeBatches = new Map();
+    edgeBatch = null;
+  }
+
+  // Capacity doubles so growing graphs reallocate rarely
+  function batchCapacity(count) {
+    let capacity = GRAPH_BATCH_MIN_CAPACITY;
+    while (capacity < count) capacity *= 2;
+    return capacity;
+  }
+
+  function syncNodeBatch() {
+    const byType = new Map();
+    nodes.forEach(node => {
+      const key = nodeTypeKey(node);
+      if (!byType.has(key)) byType.set(key, []);
+      byType.get(key).push(node);
+    });
+
+    // Types that lost all their nodes keep their batch and draw nothing
+    nodeBatches.forEach((batch, key) => {
+      if (!byType.has(key)) {
+        batch.count = 0;
+        batch.userData.nodes = [];
+      }
+    });
+
+    byType.forEach((typeNodes, key) => {
+      let batch = nodeBatches.get(key);
+      if (!batch || batch.instanceMatrix.count < typeNodes.length) {
+        if (batch) disposeBatch(batch);
+        batch = createNodeBatch(key, batchCapacity(typeNodes.length));
+        nodeBatches.set(key, batch);
+        scene.add(batch);
+      }
+
+      const emissive = batch.geometry.attributes.instanceEmissive;
+      const opacity = batch.geometry.attributes.instanceOpacity;
+      let transparent = false;
+
+      typeNodes.forEach((node, i) => {
+        // Metric modes (see Graph Analytics) override color and size
+        const style = metricStyle(node);
+        batchScale.copy(node.scale).multiplyScalar(node.radius * (style ? style.size : 1));
+        batchMatrix.compose(node.position, node.quaternion, batchScale);
+        batch.setMatrixAt(i, batchMatrix);
+        batch.setColorAt(i, style ? style.color : batchColor.setHex(node.userData.color));
+        emissive.array[i] = node.emissiveIntensity + node.glow + (node === selectedNode ? SELECTION_GLOW : 0);
+        opacity.array[i] = node.opacity;
+        if (node.opacity < 1) transparent = true;
+      });
+
+      batch.count = typeNodes.length;
+      batch.userData.nodes = typeNodes;
+      batch.material.transparent = transparent;
+      batch.instanceMatrix.needsUpdate = true;
+      batch.instanceColor.needsUpdate = true;
+      emissive.needsUpdate = true;
+      opacity.needsUpdate = true;
+      batch.boundingSphere = null; // Recomputed on the next raycast
+    });
+  }
+
+  function syncEdgeBatch() {
+    if (!edgeBatch || edgeBatch.userData.capacity < connections.length) {
+      if (edgeBatch) disposeBatch(edgeBatch);
+      edgeBatch = createEdgeBatch(batchCapacity(connections.length));
+      scene.add(edgeBatch);
+    }
+
+    const positions = edgeBatch.geometry.attributes.position.array;
+    const colors = edgeBatch.geometry.attributes.color.array;
+
+    connections.forEach((conn, i) => {
+      getConnectionEndpoints(conn, batchStart, batchEnd);
+      batchStart.toArray(positions, i * 6);
+      batchEnd.toArray(positions, i * 6 + 3);
+
+      // Routes light up toward the route color
+      batchColor.copy(conn.color).lerp(routeColor, conn.highlight);
+      const alpha = conn.opacity + (0.9 * conn.fade - conn.opacity) * conn.highlight;
+      batchColor.toArray(colors, i * 8);
+      colors[i * 8 + 3] = alpha;
+      batchColor.toArray(colors, i * 8 + 4);
+      colors[i * 8 + 7] = alpha;
+    });
+
+    edgeBatch.geometry.setDrawRange(0, connections.length * 2);
+    edgeBatch.geometry.attributes.position.needsUpdate = true;
+    edgeBatch.geometry.attributes.color.needsUpdate = true;
+  }
+
+  function syncGraphBatches() {
+    refreshAnalytics();
+    syncNodeBatch();
+    syncEdgeBatch();
+    syncSelectionHalo();
+  }
+
+  // === Seeded Randomness ===
+  // All randomness goes through seeded generators (createRandom, from
+  // particle-sim.js) so a seed + preset always rebuilds the same scene. Each
+  // concern gets its own stream so, e.g., adding a node doesn't shift the
+  // particle layout or the pulse schedule.
+
+  // Restart every stream from the current seed; call before rebuilding a scene
+  function reseedRandom() {
+    random = createRandom(currentSeed);
+    particleRandom = createRandom(currentSeed ^ 0x9e3779b9);
+    pulseRandom = createRandom(currentSeed ^ 0x85ebca6b);
+    simRandom = createRandom(currentSeed ^ 0xc2b2ae35);
+    pulseClock = 0;
+  }
+
+  function setSeed(seed) {
+    currentSeed = seed >>> 0;
+    reseedRandom();
+    emit('seedchange', { seed: currentSeed });
+  }
+
+  // Rebuild the current preset from a new seed (random if none is given)
+  function rerollSeed(seed = randomSeed()) {
+    setSeed(parseSeed(seed));
+    switchVisualization(currentViz);
+    return currentSeed;
+  }
+
+  function generateNodeId() {
+    let id;
+    do {
+      id = `node-${nodeIdCounter++}`;
+    } while (nodes.some(node => node.userData.id === id));
+    return id;
+  }
+
+  // Create nodes and edges in the scene from a normalized graph
+  function buildGraph(graph) {
+    const palette = [config.colors.cyan, config.colors.magenta, config.colors.yellow];
+    const typeColors = new Map();
+    const unplaced = graph.nodes.filter(n => !n.position);
+    const indexById = new Map();
+
+    graph.nodes.forEach((data, i) => {
+      const typeColor = Object.hasOwn(NODE_TYPES, data.type) ? NODE_TYPES[data.type].color : null;
+      if (typeColor === null && !typeColors.has(data.type)) {
+        typeColors.set(data.type, palette[typeColors.size % palette.length]);
+      }
+      const color = data.color ?? typeColor ?? typeColors.get(data.type);
+      const position = data.position
+        ? data.position.clone()
+        : autoPlacePosition(unplaced.indexOf(data), unplaced.length);
+
+      const node = createNodeObject(position);
+      node.userData = {
+        id: data.id,
+        label: data.label,
+        type: data.type,
+        originalPosition: position.clone(),
+        phase: random() * Math.PI * 2,
+        speed: 0.5 + random() * 0.5,
+        color: color
+      };
+
+      nodes.push(node);
+      indexById.set(data.id, i);
+    });
+
+    graph.edges.forEach(edge => {
+      const toCore = edge.source === CORE_NODE_ID || edge.target === CORE_NODE_ID;
+      let userData;
+
+      if (toCore) {
+        const index = indexById.get(edge.source === CORE_NODE_ID ? edge.target : edge.source);
+        userData = { nodeIndex: index, toCore: true, weight: edge.weight };
+      } else {
+        userData = {
+          nodeIndex1: indexById.get(edge.source),
+          nodeIndex2: indexById.get(edge.target),
+          weight: edge.weight
+        };
+      }
+
+      connections.push(createConnection(userData));
+    });
+  }
+
+  // Remove nodes, connections and pulses, keeping core, particles and lights
+  function clearGraph() {
+    selectNode(null);
+
+    // The graph batches stay in the scene and simply draw nothing
+    nodes = [];
+    nodeIdCounter = 0;
+    connections = [];
+    resetAnalytics();
+
+    clearDataPulses();
+    layoutTransition = null;
+
+    clearHistory();
+  }
+
+  /**
+   * Replace the current nodes and connections with graph data.
+   * Throws if the data does not match the schema documented above.
+   * @param {object} data - Graph JSON ({ nodes, edges })
+   * @returns {{ nodes: number, edges: number }} Counts of what was loaded
+   */
+  function loadGraph(data) {
+    const graph = normalizeGraph(data);
+
+    loadedGraph = graph;
+    clearGraph();
+    reseedRandom();
+    buildGraph(graph);
+    graphChanged();
+
+    return { nodes: graph.nodes.length, edges: graph.edges.length };
+  }
+
+  /**
+   * The graph as it stands now, edits included, in the format loadGraph()
+   * reads. Nodes keep their resting positions and colors.
+   * @returns {{ nodes: object[], edges: object[] }}
+   */
+  function exportGraph() {
+    return {
+      nodes: nodes.map(node => {
+        const data = node.userData;
+        return {
+          id: data.id,
+          ...(data.label !== undefined && { label: data.label }),
+          type: data.type ?? 'default',
+          color: data.color,
+          position: data.originalPosition.toArray()
+        };
+      }),
+      edges: connections.map(conn => {
+        const [a, b] = connectionNodes(conn);
+        return {
+          source: a === coreNode ? CORE_NODE_ID : a.userData.id,
+          target: b.userData.id,
+          weight: conn.userData.weight ?? 1
+        };
+      })
+    };
+  }
+
+  // === Animation Loop ===
+  function animate() {
+    if (destroyed) return;
+    animationFrameId = requestAnimationFrame(animate);
+
+    frameCount++;
+    stepSimulation();
+
+    // Update FPS counter
+    if (frameCount % 30 === 0) {
+      const now = performance.now();
+      const fps = Math.round(30000 / (now - lastTime));
+      emit('fps', { fps });
+      lastTime = now;
+    }
+
+    renderScene();
+    renderLabels();
+
+    // Capture frame if recording
+    if (isRecording) {
+      captureFrame();
+    }
+  }
+
+  // === Simulation Tick ===
+  // One fixed step of scene time; the live loop runs one per frame and the
+  // offline renderer runs as many as each output frame needs
+  const TICKS_PER_SECOND = 60;
+
+  function stepSimulation() {
+    time += 0.016; // ~60fps
+
+    // Update controls
+    controls.update();
+
+    // Rotate core
+    if (coreNode) {
+      coreNode.rotation.x += 0.005;
+      coreNode.rotation.y += 0.008;
+    }
+
+    // Animate nodes based on mode
+    animateNodes();
+
+    // Rewire proximity links as nodes move
+    if (dynamicLinksEnabled) {
+      updateDynamicLinks();
+    }
+
+    // Animate connections
+    animateConnections();
+
+    // Particles either morph between presets or simulate normally
+    if (transition) {
+      updateTransition();
+    } else {
+      // Animate particles based on visualization type (incl. mouse gravity)
+      animateParticles();
+    }
+
+    // Animate data pulses (routed trains and streamed pulses run with random
+    // pulses off too; a live stream replaces the random ones)
+    updateRoutes();
+    animateDataPulses();
+    if (pulsesEnabled && liveStream.state !== 'live') {
+      // Spawn new pulses periodically (own clock so the schedule is reproducible)
+      pulseClock++;
+      if (pulseClock % 30 === 0 && connections.length > 0) {
+        spawnDataPulse();
+      }
+    }
+  }
+
+  // Render with post-processing or standard
+  function renderScene() {
+    syncGraphBatches();
+
+    if (composer && bloomEnabled) {
+      bloomPass.enabled = bloomEnabled;
+      composer.render();
+    } else {
+      renderer.render(scene, camera);
+    }
+
+    // Shared particle buffers have been uploaded; the worker may write again
+    particleWorkerState.uploading = false;
+  }
+
+  // === Node Animation ===
+  function animateNodes() {
+    if (layoutTransition) updateLayoutTransition();
+    if (currentMode === 'force') stepForce();
+
+    nodes.forEach((node, index) => {
+      const data = node.userData;
+
+      // A node being dragged stays under the pointer
+      if (dragState && dragState.node === node) return;
+
+      switch (currentMode) {
+        case 'orbit':
+          // Gentle floating motion
+          const floatOffset = Math.sin(time * data.speed + data.phase) * 0.1;
+          node.position.y = data.originalPosition.y + floatOffset;
+          break;
+
+        case 'pulse':
+          // Pulse from center
+          const pulseScale = 1 + Math.sin(time * 2 - node.position.length() * 0.5) * 0.3;
+          node.scale.setScalar(pulseScale);
+          node.emissiveIntensity = 0.3 + Math.sin(time * 3 + data.phase) * 0.3;
+          break;
+
+        case 'expand':
+          // Expand outward
+          const expandFactor = 1 + Math.sin(time * 0.5) * 0.5;
+          node.position.copy(data.originalPosition).multiplyScalar(expandFactor);
+          break;
+
+        case 'force':
+          // Positioned by stepForce()
+          break;
+      }
+
+      // Idle motion and pulse glow depend on the node's type
+      node.glow *= NODE_GLOW_DECAY;
+      nodeTypeOf(node).idle(node, time);
+    });
+  }
+
+  // === Force Layout ===
+  // FORCE mode arranges nodes with force-layout.js over the live connections.
+  // The layout cools from `alpha` 1 down to FORCE_ALPHA_MIN and then rests;
+  // editing the graph or dragging a node warms it up again. Positions are
+  // written back to originalPosition every tick, so the other modes (and
+  // saves) pick up wherever the layout has got to.
+  const FORCE_ALPHA_MIN = 0.002;
+  const FORCE_ALPHA_DECAY = 1 - Math.pow(FORCE_ALPHA_MIN, 1 / 300); // ~5 s to cool
+  const FORCE_REHEAT_ALPHA = 0.3; // After edits and while dragging
+
+  const forceState = {
+    alpha: 0,
+    frozen: false,
+    revision: null,                // graphRevision the layout last saw
+    edges: null,                   // graphEdgePairs() as of that revision
+    nodeCount: 0,                  // nodes.length as of that revision
+    positions: new Float32Array(0), // Scratch xyz per node, reused between ticks
+    scratchVelocities: new Float32Array(0),
+    velocities: new WeakMap()      // node -> THREE.Vector3
+  };
+
+  function reheatForceLayout(alpha = 1) {
+    forceState.alpha = Math.max(forceState.alpha, alpha);
+    forceState.frozen = false;
+    forceChanged();
+  }
+
+  function freezeForceLayout() {
+    forceState.alpha = 0;
+    forceState.frozen = true;
+    forceState.velocities = new WeakMap();
+    forceChanged();
+  }
+
+  function forceChanged() {
+    emit('forcechange', { active: currentMode === 'force', frozen: forceState.frozen });
+  }
+
+  // One layout tick; called from animateNodes() in FORCE mode
+  function stepForce() {
+    if (forceState.frozen) return;
+
+    // Edges are only rebuilt after an edit, and only a changed topology
+    // reheats (not relabeling, say)
+    if (graphRevision !== forceState.revision) {
+      const edges = graphEdgePairs();
+      const reshaped = forceState.revision !== null && (
+        nodes.length !== forceState.nodeCount ||
+        edges.length !== forceState.edges.length ||
+        edges.some((index, i) => index !== forceState.edges[i])
+      );
+      if (reshaped) reheatForceLayout(FORCE_REHEAT_ALPHA);
+      forceState.revision = graphRevision;
+      forceState.edges = edges;
+      forceState.nodeCount = nodes.length;
+    }
+    const dragged = dragState ? nodes.indexOf(dragState.node) : -1;
+    if (dragged !== -1) forceState.alpha = Math.max(forceState.alpha, FORCE_REHEAT_ALPHA);
+    if (forceState.alpha < FORCE_ALPHA_MIN || nodes.length === 0) return;
+
+    if (forceState.positions.length !== nodes.length * 3) {
+      forceState.positions = new Float32Array(nodes.length * 3);
+      forceState.scratchVelocities = new Float32Array(nodes.length * 3);
+    }
+    const { positions, scratchVelocities: velocities } = forceState;
+    nodes.forEach((node, i) => {
+      if (!forceState.velocities.has(node)) forceState.velocities.set(node, new THREE.Vector3());
+      node.position.toArray(positions, i * 3);
+      forceState.velocities.get(node).toArray(velocities, i * 3);
+    });
+
+    stepForceLayout(positions, velocities, forceState.edges, forceState.alpha, {
+      linkDistance: config.connectionDistance * 0.6
+    }, dragged);
+
+    nodes.forEach((node, i) => {
+      if (i === dragged) return;
+      node.position.fromArray(positions, i * 3);
+      node.userData.originalPosition.copy(node.position);
+      forceState.velocities.get(node).fromArray(velocities, i * 3);
+    });
+
+    forceState.alpha *= 1 - FORCE_ALPHA_DECAY;
+    if (selectedNode) selectionChanged();
+  }
+
+  // === Layouts ===
+  // Structured arrangements from graph-layouts.js. Applying one glides every
+  // node from where it is into place by moving originalPosition, with the
+  // animation mode still running on top; the edge batch follows the nodes each
+  // frame. Applying a layout is one undoable step.
+  const LAYOUT_DURATION = 1.5; // Seconds
+  const LAYOUT_SPACING = 1.2;
+
+  let layoutTransition = null; // { nodes, from, to, elapsed }
+
+  /**
+   * Arrange the nodes with a structured layout.
+   * @param {string} name - 'scatter', 'rings', 'shells-type', 'shells-degree',
+   *   'hierarchy', 'grid' or 'galaxy'
+   * @param {object} [options]
+   * @param {boolean} [options.animate=true] - Glide into place instead of jumping
+   */
+  function applyLayout(name, { animate = true } = {}) {
+    if (!LAYOUTS.includes(name)) throw new Error(`Unknown layout "${name}"`);
+
+    // The force layout would immediately pull nodes out of the arrangement
+    if (currentMode === 'force') setAnimationMode('orbit');
+
+    const positions = computeLayout(name, {
+      count: nodes.length,
+      edges: graphEdgePairs(),
+      groups: nodes.map(node => node.userData.type ?? 'default')
+    }, { spacing: LAYOUT_SPACING, radius: config.fieldSize, seed: currentSeed });
+
+    const targets = nodes.slice();
+    const from = targets.map(node => node.userData.originalPosition.clone());
+    const to = targets.map((node, i) => new THREE.Vector3().fromArray(positions, i * 3));
+
+    const place = spots => {
+      layoutTransition = null;
+      targets.forEach((node, i) => {
+        node.userData.originalPosition.copy(spots[i]);
+        node.position.copy(spots[i]);
+      });
+      if (selectedNode) selectionChanged();
+    };
+
+    if (animate && LAYOUT_DURATION > 0) {
+      layoutTransition = { nodes: targets, from, to, elapsed: 0 };
+    } else {
+      place(to);
+    }
+    pushHistory({
+      label: `${name} layout`,
+      undo: () => place(from),
+      redo: () => place(to)
+    });
+    emit('layoutchange', { name });
+  }
+
+  // Advance the glide into a new layout; called from animateNodes()
+  function updateLayoutTransition() {
+    const move = layoutTransition;
+    move.elapsed += 0.016;
+    const t = easeInOutCubic(Math.min(move.elapsed / LAYOUT_DURATION, 1));
+
+    move.nodes.forEach((node, i) => {
+      if (dragState && dragState.node === node) return;
+      node.userData.originalPosition.lerpVectors(move.from[i], move.to[i], t);
+      node.position.copy(node.userData.originalPosition);
+    });
+
+    if (move.elapsed >= LAYOUT_DURATION) layoutTransition = null;
+    if (selectedNode) selectionChanged();
+  }
+
+  // === Particle Animation ===
+  function animateParticles() {
+    if (!particleSystem) return;
+
+    const preset = particleSystem.userData.preset;
+
+    // Physics (incl. mouse gravity) runs in the worker when available; the
+    // offline renderer always steps in-thread so every frame is exact
+    if (particleWorker && !offlineRender) {
+      tickParticleWorker();
+    } else {
+      stepParticlesInThread();
+    }
+
+    switch (preset?.behavior) {
+      case 'storm':
+        particleSystem.rotation.y += preset.particleSpeed * 2;
+        break;
+
+      case 'constellation':
+        // Gentle twinkling
+        particleSystem.material.opacity = 0.7 + Math.sin(time * 2) * 0.2;
+        particleSystem.rotation.y += preset.particleSpeed;
+        break;
+
+      case 'matrix':
+      case 'swarm':
+        break;
+
+      default:
+        // Neural network - slow rotation
+        particleSystem.rotation.y += preset?.particleSpeed || 0.0002;
+    }
+  }
+
+  function stepParticlesInThread() {
+    const attributes = particleSystem.geometry.attributes;
+
+    stepParticles(particleSystem.userData.preset, attributes.position.array, attributes.velocity?.array, simRandom);
+    applyMouseGravity(attributes.position.array, mouseWorld, mouseGravityStrength);
+
+    attributes.position.needsUpdate = true;
+    if (attributes.velocity) attributes.velocity.needsUpdate = true;
+
+    // The worker's copy is now behind
+    invalidateParticleWorker();
+  }
+
+  // === Particle Worker ===
+  // The worker owns its own copy of the particle buffers and sends back
+  // positions/velocities after each tick; the main thread copies them into the
+  // geometry. On cross-origin isolated pages the geometry's arrays are moved
+  // onto SharedArrayBuffers instead, so frames carry no data and nothing is
+  // copied; the next tick then waits until that frame has been rendered, so
+  // the worker never writes while the GPU upload reads. One tick is in flight
+  // at a time and ticks that pile up while it is busy are batched (up to a
+  // cap) into the next request. Any main-thread write to the particles
+  // (restore, morph, offline render) invalidates the worker, which is
+  // re-seeded from the geometry on the next tick.
+  const PARTICLE_WORKER_MAX_TICKS = 4;
+
+  let particleWorker = null;
+  let particleWorkerState = {
+    system: null,      // Particle system the worker was initialized from
+    generation: 0,     // Bumped on every init; stale frames are dropped
+    busy: false,
+    uploading: false,  // A shared frame is flagged for upload and not yet rendered
+    pendingTicks: 0,
+    shared: null       // { positions, velocities } views onto SharedArrayBuffers
+  };
+
+  function createParticleWorker() {
+    if (typeof Worker === 'undefined') return;
+
+    try {
+      particleWorker = new Worker(new URL('./particle-worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+      console.warn('Particle worker unavailable, simulating in-thread:', err);
+      particleWorker = null;
+      return;
+    }
+
+    particleWorker.onmessage = onParticleWorkerMessage;
+    particleWorker.onerror = (event) => {
+      // e.g. module workers unsupported; geometry still holds the last frame
+      console.warn('Particle worker failed, simulating in-thread:', event.message);
+      stopParticleWorker();
+    };
+  }
+
+  function stopParticleWorker() {
+    if (particleWorker) {
+      particleWorker.terminate();
+      particleWorker = null;
+    }
+    invalidateParticleWorker();
+  }
+
+  function invalidateParticleWorker() {
+    particleWorkerState.system = null;
+    particleWorkerState.busy = false;
+    particleWorkerState.uploading = false;
+    particleWorkerState.pendingTicks = 0;
+  }
+
+  function initParticleWorker() {
+    const state = particleWorkerState;
+    const attributes = particleSystem.geometry.attributes;
+    const positions = attributes.position.array;
+    const velocities = attributes.velocity?.array;
+
+    state.system = particleSystem;
+    state.generation++;
+    state.busy = false;
+    state.uploading = false;
+    state.pendingTicks = 0;
+    state.shared = null;
+
+    const message = {
+      type: 'init',
+      generation: state.generation,
+      params: particleSystem.userData.preset,
+      seed: Math.floor(simRandom() * 4294967296),
+      shared: false
+    };
+
+    // Shared memory needs a cross-origin isolated page; otherwise copy.
+    // Shared views replace the attributes' arrays (same type and length), so
+    // the worker writes straight into what gets uploaded.
+    if (typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated) {
+      const share = array => {
+        if (array.buffer instanceof SharedArrayBuffer) return array;
+        const view = new Float32Array(new SharedArrayBuffer(array.byteLength));
+        view.set(array);
+        return view;
+      };
+      state.shared = { positions: share(positions), velocities: velocities ? share(velocities) : null };
+      attributes.position.array = state.shared.positions;
+      message.positions = state.shared.positions.buffer;
+      if (velocities) {
+        attributes.velocity.array = state.shared.velocities;
+        message.velocities = state.shared.velocities.buffer;
+      }
+      message.shared = true;
+      particleWorker.postMessage(message);
+    } else {
+      message.positions = positions.slice().buffer;
+      message.velocities = velocities ? velocities.slice().buffer : null;
+      particleWorker.postMessage(message, message.velocities ? [message.positions, message.velocities] : [message.positions]);
+    }
+  }
+
+  function tickParticleWorker() {
+    const state = particleWorkerState;
+    if (state.system !== particleSystem) {
+      initParticleWorker();
+    }
+
+    state.pendingTicks = Math.min(state.pendingTicks + 1, PARTICLE_WORKER_MAX_TICKS);
+    if (state.busy || state.uploading) return;
+
+    state.busy = true;
+    particleWorker.postMessage({
+      type: 'tick',
+      ticks: state.pendingTicks,
+      mouse: { x: mouseWorld.x, y: mouseWorld.y, z: mouseWorld.z },
+      mouseStrength: mouseGravityStrength
+    });
+    state.pendingTicks = 0;
+  }
+
+  function onParticleWorkerMessage({ data }) {
+    const state = particleWorkerState;
+    if (data.type !== 'frame' || data.generation !== state.generation) return;
+    if (!particleSystem || state.system !== particleSystem) return;
+
+    state.busy = false;
+
+    // Shared buffers already hold the frame; only the upload is flagged
+    const attributes = particleSystem.geometry.attributes;
+    if (!state.shared) {
+      attributes.position.array.set(data.positions);
+      if (attributes.velocity && data.velocities) attributes.velocity.array.set(data.velocities);
+    }
+    attributes.position.needsUpdate = true;
+    if (attributes.velocity) attributes.velocity.needsUpdate = true;
+    state.uploading = !!state.shared;
+  }
+
+  // === Connection Animation ===
+  // Endpoints follow the nodes when the edge batch syncs (see syncEdgeBatch)
+  function animateConnections() {
+    connections.forEach((conn, index) => {
+      // Pulse opacity
+      conn.opacity = (0.2 + Math.sin(time * 2 + index * 0.1) * 0.15) * conn.fade;
+    });
+  }
+
+  // === Dynamic Links ===
+  // With dynamic links on, the proximity edges from createConnections() (marked
+  // userData.auto) are re-evaluated against connectionDistance as nodes move:
+  // pairs that come close link up and fade in, stretched links fade out and are
+  // dropped. Manual edges, new-node edges and loaded graphs are left alone.
+  const DYNAMIC_LINK_INTERVAL = 6;    // Ticks between re-evaluations
+  const DYNAMIC_LINK_FADE_TIME = 0.5; // Seconds to fade a link in or out
+
+  let dynamicLinkClock = 0;
+
+  // Numeric key for a node pair; the core counts as index -1
+  function connectionKey(data, nodeCount) {
+    if (data.toCore) return data.nodeIndex * (nodeCount + 1);
+    const low = Math.min(data.nodeIndex1, data.nodeIndex2);
+    const high = Math.max(data.nodeIndex1, data.nodeIndex2);
+    return low * (nodeCount + 1) + high + 1;
+  }
+
+  function updateDynamicLinks() {
+    const fadeStep = 0.016 / DYNAMIC_LINK_FADE_TIME;
+
+    // Advance fades, dropping links that finished fading out
+    const linkCount = connections.length;
+    connections = connections.filter(conn => {
+      if (conn.fadingOut) {
+        conn.fade -= fadeStep;
+        return conn.fade > 0;
+      }
+      conn.fade = Math.min(1, conn.fade + fadeStep);
+      return true;
+    });
+
+    dynamicLinkClock++;
+    const linked = !loadedGraph && dynamicLinkClock % DYNAMIC_LINK_INTERVAL === 0 && linkNodesInRange();
+
+    // Links that came or went are a topology change like any edit
+    if (linked || connections.length !== linkCount) graphChanged();
+  }
+
+  // Link up pairs in range and start fading out auto links that left it;
+  // returns whether any link was added
+  function linkNodesInRange() {
+    const count = nodes.length;
+    const existing = new Map();
+    connections.forEach(conn => {
+      if (!conn.fadingOut) existing.set(connectionKey(conn.userData, count), conn);
+    });
+
+    const linkDistanceSq = config.connectionDistance ** 2;
+    const coreDistanceSq = (config.connectionDistance * 1.5) ** 2;
+
+    // j = -1: core
+    let added = false;
+    const evaluate = (key, inRange, i, j) => {
+      const conn = existing.get(key);
+      if (inRange && !conn) {
+        const userData = j === -1
+          ? { nodeIndex: i, toCore: true, auto: true }
+          : { nodeIndex1: i, nodeIndex2: j, auto: true };
+        connections.push(createConnection(userData, { fade: 0 }));
+        added = true;
+      } else if (!inRange && conn && conn.userData.auto) {
+        conn.fadingOut = true;
+      }
+    };
+
+    for (let i = 0; i < count; i++) {
+      const position = nodes[i].position;
+      evaluate(i * (count + 1), position.lengthSq() < coreDistanceSq, i, -1);
+
+      for (let j = i + 1; j < count; j++) {
+        evaluate(i * (count + 1) + j + 1, position.distanceToSquared(nodes[j].position) < linkDistanceSq, i, j);
+      }
+    }
+    return added;
+  }
+
+  function setDynamicLinks(enabled) {
+    dynamicLinksEnabled = enabled;
+
+    // Links caught mid-fade settle where they were heading
+    if (!enabled) {
+      const linkCount = connections.length;
+      connections = connections.filter(conn => !conn.fadingOut);
+      connections.forEach(conn => { conn.fade = 1; });
+      if (connections.length !== linkCount) graphChanged();
+    }
+  }
+
+  // === Effects ===
+  function getEffects() {
+    return {
+      bloom: bloomEnabled,
+      pulses: pulsesEnabled,
+      dynamicLinks: dynamicLinksEnabled,
+      labels: labelMode,
+      metric: analyticsMode
+    };
+  }
+
+  /**
+   * Turn effects on or off; fields left out keep their current value.
+   * @param {object} effects
+   * @param {boolean} [effects.bloom]
+   * @param {boolean} [effects.pulses] - Random data pulses
+   * @param {boolean} [effects.dynamicLinks] - Proximity links follow the nodes
+   * @param {string} [effects.labels] - Label mode (see Node Labels)
+   * @param {string} [effects.metric] - Node styling metric (see Graph Analytics)
+   */
+  function setEffects({ bloom, pulses, dynamicLinks, labels, metric } = {}) {
+    if (labels !== undefined && !LABEL_MODES.includes(labels)) throw new Error(`Unknown label mode "${labels}"`);
+    if (metric !== undefined && !ANALYTICS_MODES.includes(metric)) throw new Error(`Unknown metric "${metric}"`);
+
+    if (bloom !== undefined) bloomEnabled = !!bloom;
+    if (pulses !== undefined) {
+      pulsesEnabled = !!pulses;
+      if (!pulsesEnabled) clearDataPulses();
+    }
+    if (dynamicLinks !== undefined) setDynamicLinks(!!dynamicLinks);
+    if (labels !== undefined) setLabelMode(labels);
+    if (metric !== undefined) setAnalyticsMode(metric);
+    effectsChanged();
+  }
+
+  function effectsChanged() {
+    emit('effectschange', getEffects());
+  }
+
+  // === Resize ===
+  // The drawing area is the container's box, never less than a pixel
+  function viewportSize() {
+    return {
+      width: Math.max(1, container.clientWidth),
+      height: Math.max(1, container.clientHeight)
+    };
+  }
+
+  function onResize() {
+    // The offline renderer owns the canvas size until it finishes
+    if (offlineRender || destroyed) return;
+
+    const { width, height } = viewportSize();
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height);
+    if (labelRenderer) labelRenderer.setSize(width, height);
+
+    if (composer) {
+      composer.setSize(width, height);
+    }
+
+    if (bloomPass) {
+      bloomPass.resolution.set(width, height);
+    }
+  }
+
+  // === Animation Mode ===
+  function setAnimationMode(mode) {
+    if (!ANIMATION_MODES.includes(mode)) throw new Error(`Unknown animation mode "${mode}"`);
+    const previous = currentMode;
+    currentMode = mode;
+
+    // Reset node scales when switching modes
+    if (mode !== 'pulse') {
+      nodes.forEach(node => node.scale.setScalar(1));
+    }
+
+    // The layout starts from the resting positions and heats up fully
+    if (mode === 'force' && previous !== 'force') {
+      nodes.forEach(node => node.position.copy(node.userData.originalPosition));
+      forceState.revision = null;
+      reheatForceLayout();
+    }
+    forceChanged();
+    emit('modechange', { mode });
+  }
+
+  // === Switch Visualization ===
+  function switchVisualization(vizKey, { animate = true } = {}) {
+    const preset = presets[vizKey];
+    if (!preset) return;
+
+    const morph = animate && config.transitionDuration > 0;
+
+    currentViz = vizKey;
+    usePresetConfig(preset);
+
+    // Keep the old scene around to morph from, or clear it for a hard cut
+    const outgoing = morph ? detachSceneForTransition() : null;
+    if (!morph) clearScene();
+    reseedRandom();
+
+    // Recreate with new settings
+    createCoreNode();
+    createNodes();
+    createConnections();
+    createParticlesForPreset(preset);
+
+    // Update lights
+    if (morph) {
+      startTransition(outgoing, preset);
+    } else {
+      updateLightsForPreset(preset);
+    }
+
+    graphChanged();
+    emit('presetchange', { key: vizKey, preset: presetInfo(vizKey) });
+  }
+
+  // Scene settings that come from the preset
+  function usePresetConfig(preset) {
+    config.nodeCount = preset.nodeCount;
+    config.connectionDistance = preset.connectionDistance;
+    config.colors.cyan = preset.colors.primary;
+    config.colors.magenta = preset.colors.secondary;
+    config.colors.yellow = preset.colors.accent;
+  }
+
+  // === Visualization Transitions ===
+  // While a transition runs, the previous scene's nodes, connections and core
+  // fade out, the new ones fade in, particles tween from their old positions
+  // and colors to the new layout, and point lights cross-fade. Switching again
+  // mid-way starts a new transition from whatever is currently on screen.
+  let transition = null;
+
+  function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  }
+
+  function getPointLights() {
+    return scene.children.filter(child => child.isPointLight);
+  }
+
+  // Materials of an object tree, with the opacity to fade from/to
+  function collectFadeMaterials(object) {
+    const entries = [];
+    object.traverse(child => {
+      if (child.material) {
+        entries.push({
+          material: child.material,
+          opacity: child.material.opacity,
+          transparent: child.material.transparent
+        });
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Pull the current scene out of the live arrays without disposing it so it
+   * can fade out. Returns what the next transition morphs from.
+   */
+  function detachSceneForTransition() {
+    // An interrupted transition drops its half-faded leftovers right away
+    if (transition) {
+      disposeOutgoing(transition.outgoing);
+      transition = null;
+    }
+
+    // The graph batches go out as a whole; new ones are made for the incoming graph
+    const objects = [...nodeBatches.values(), edgeBatch].filter(Boolean);
+    nodeBatches = new Map();
+    edgeBatch = null;
+    if (coreNode) objects.push(coreNode);
+
+    const outgoing = {
+      objects,
+      materials: objects.flatMap(collectFadeMaterials),
+      particles: null,
+      lights: getPointLights().map(light => light.color.clone())
+    };
+    outgoing.materials.forEach(entry => { entry.material.transparent = true; });
+
+    // Particles are snapshotted; the new system morphs out of the snapshot
+    if (particleSystem) {
+      const attributes = particleSystem.geometry.attributes;
+      outgoing.particles = {
+        positions: attributes.position.array.slice(),
+        colors: attributes.color.array.slice()
+      };
+      scene.remove(particleSystem);
+      particleSystem.geometry.dispose();
+      particleSystem.material.dispose();
+      particleSystem = null;
+    }
+
+    clearDataPulses();
+
+    selectNode(null);
+    nodes = [];
+    connections = [];
+    coreNode = null;
+    nodeIdCounter = 0;
+    resetAnalytics();
+    layoutTransition = null;
+    clearHistory();
+
+    return outgoing;
+  }
+
+  function disposeOutgoing(outgoing) {
+    outgoing.objects.forEach(object => {
+      scene.remove(object);
+      object.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    });
+  }
+
+  function startTransition(outgoing, preset) {
+    const lights = getPointLights();
+
+    transition = {
+      start: time,
+      duration: config.transitionDuration,
+      outgoing,
+      coreMaterials: coreNode ? collectFadeMaterials(coreNode) : [],
+      lights: lights.map((light, i) => ({
+        light,
+        from: outgoing.lights[i] || light.color.clone(),
+        to: new THREE.Color(lightColorForPreset(light, preset))
+      })),
+      particles: null
+    };
+    transition.coreMaterials.forEach(entry => { entry.material.transparent = true; });
+
+    // Particle i of the new system starts where particle (i mod n) of the old was
+    if (particleSystem && outgoing.particles) {
+      const attributes = particleSystem.geometry.attributes;
+      transition.particles = {
+        fromPositions: outgoing.particles.positions,
+        fromColors: outgoing.particles.colors,
+        toPositions: attributes.position.array.slice(),
+        toColors: attributes.color.array.slice()
+      };
+    }
+
+    updateTransition();
+  }
+
+  // Advance the running transition; called from the animation loop
+  function updateTransition() {
+    if (!transition) return;
+
+    const progress = Math.min(1, (time - transition.start) / transition.duration);
+    const t = easeInOutCubic(progress);
+
+    // Fade out the old scene
+    transition.outgoing.materials.forEach(entry => {
+      entry.material.opacity = entry.opacity * (1 - t);
+    });
+
+    // Fade in the new one (connections get their pulsing opacity each frame first)
+    nodes.forEach(node => { node.opacity = t; });
+    connections.forEach(conn => { conn.opacity *= t; });
+    transition.coreMaterials.forEach(entry => {
+      entry.material.opacity = entry.opacity * t;
+    });
+
+    // Cross-fade lights
+    transition.lights.forEach(({ light, from, to }) => {
+      light.color.copy(from).lerp(to, t);
+    });
+
+    // Morph particles
+    if (transition.particles && particleSystem) {
+      const { fromPositions, fromColors, toPositions, toColors } = transition.particles;
+      const attributes = particleSystem.geometry.attributes;
+      const positions = attributes.position.array;
+      const colors = attributes.color.array;
+      const fromCount = fromPositions.length;
+
+      for (let i = 0; i < positions.length; i++) {
+        const j = fromCount > 0 ? i % fromCount : -1;
+        const fromPosition = j >= 0 ? fromPositions[j] : 0;
+        const fromColor = j >= 0 ? fromColors[j] : toColors[i];
+        positions[i] = fromPosition + (toPositions[i] - fromPosition) * t;
+        colors[i] = fromColor + (toColors[i] - fromColor) * t;
+      }
+      attributes.position.needsUpdate = true;
+      attributes.color.needsUpdate = true;
+    }
+
+    if (progress >= 1) finishTransition();
+  }
+
+  // Jump to the end state: dispose the old scene, restore opaque materials
+  function finishTransition() {
+    if (!transition) return;
+
+    disposeOutgoing(transition.outgoing);
+
+    nodes.forEach(node => { node.opacity = 1; });
+    transition.coreMaterials.forEach(entry => {
+      entry.material.opacity = entry.opacity;
+      entry.material.transparent = entry.transparent;
+    });
+    transition.lights.forEach(({ light, to }) => light.color.copy(to));
+
+    if (transition.particles && particleSystem) {
+      const attributes = particleSystem.geometry.attributes;
+      attributes.position.array.set(transition.particles.toPositions);
+      attributes.color.array.set(transition.particles.toColors);
+      attributes.position.needsUpdate = true;
+      attributes.color.needsUpdate = true;
+    }
+
+    transition = null;
+  }
+
+  // === Clear Scene ===
+  function clearScene() {
+    // Settle any running transition so nothing is left half-faded
+    finishTransition();
+
+    // Remove and dispose nodes, connections and data pulses
+    clearGraph();
+
+    // Remove and dispose particles
+    if (particleSystem) {
+      scene.remove(particleSystem);
+      if (particleSystem.geometry) particleSystem.geometry.dispose();
+      if (particleSystem.material) particleSystem.material.dispose();
+      particleSystem = null;
+    }
+
+    // Remove and dispose core
+    if (coreNode) {
+      coreNode.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      scene.remove(coreNode);
+      coreNode = null;
+    }
+  }
+
+  // === Create Particles for Preset ===
+  function createParticlesForPreset(preset) {
+    const particleCount = preset.particleCount;
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(particleCount * 3);
+    const colors = new Float32Array(particleCount * 3);
+    const velocities = new Float32Array(particleCount * 3);
+
+    const colorPrimary = new THREE.Color(preset.colors.primary);
+    const colorSecondary = new THREE.Color(preset.colors.secondary);
+
+    for (let i = 0; i < particleCount; i++) {
+      const i3 = i * 3;
+
+      if (preset.behavior === 'matrix') {
+        // Matrix rain - spread in X/Z, full height in Y
+        positions[i3] = (particleRandom() - 0.5) * 20;
+        positions[i3 + 1] = particleRandom() * 20 - 5;
+        positions[i3 + 2] = (particleRandom() - 0.5) * 20;
+        velocities[i3 + 1] = -0.02 - particleRandom() * 0.03; // Fall speed
+      } else if (preset.behavior === 'storm') {
+        // Storm - chaotic sphere
+        const radius = config.fieldSize * 2 * particleRandom();
+        const theta = particleRandom() * Math.PI * 2;
+        const phi = Math.acos(2 * particleRandom() - 1);
+        positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
+        positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
+        positions[i3 + 2] = radius * Math.cos(phi);
+        velocities[i3] = (particleRandom() - 0.5) * 0.02;
+        velocities[i3 + 1] = (particleRandom() - 0.5) * 0.02;
+        velocities[i3 + 2] = (particleRandom() - 0.5) * 0.02;
+      } else if (preset.behavior === 'swarm') {
+        // Swarm - spread out with random velocities for flocking
+        const radius = config.fieldSize * 2.5 * particleRandom();
+        const theta = particleRandom() * Math.PI * 2;
+        const phi = Math.acos(2 * particleRandom() - 1);
+        positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
+        positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
+        positions[i3 + 2] = radius * Math.cos(phi);
+        // Random initial velocity
+        velocities[i3] = (particleRandom() - 0.5) * 0.02;
+        velocities[i3 + 1] = (particleRandom() - 0.5) * 0.02;
+        velocities[i3 + 2] = (particleRandom() - 0.5) * 0.02;
+      } else {
+        // Default spherical distribution
+        const radius = config.fieldSize * 1.5 * particleRandom();
+        const theta = particleRandom() * Math.PI * 2;
+        const phi = Math.acos(2 * particleRandom() - 1);
+        positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
+        positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
+        positions[i3 + 2] = radius * Math.cos(phi);
+      }
+
+      // Color blend
+      const mixRatio = particleRandom();
+      const color = colorPrimary.clone().lerp(colorSecondary, mixRatio);
+      colors[i3] = color.r;
+      colors[i3 + 1] = color.g;
+      colors[i3 + 2] = color.b;
+    }
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
+
+    const material = new THREE.PointsMaterial({
+      size: preset.particleSize,
+      vertexColors: true,
+      transparent: true,
+      opacity: preset.behavior === 'constellation' ? 0.9 : 0.6,
+      blending: THREE.AdditiveBlending
+    });
+
+    particleSystem = new THREE.Points(geometry, material);
+    particleSystem.userData.preset = preset;
+    scene.add(particleSystem);
+  }
+
+  // === Update Lights for Preset ===
+  function updateLightsForPreset(preset) {
+    scene.children.forEach(child => {
+      if (child.isPointLight) {
+        child.color.setHex(lightColorForPreset(child, preset));
+      }
+    });
+  }
+
+  function lightColorForPreset(light, preset) {
+    return light.position.x > 0 ? preset.colors.primary : preset.colors.secondary;
+  }
+
+  // Pointer position in normalized device coordinates, relative to the canvas
+  function setPointer(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  }
+
+  // === Canvas Click Handler ===
+  function onCanvasClick(event) {
+    // Shift+click two nodes to link or unlink them
+    if (event.shiftKey) {
+      const node = pickNode(event);
+      if (node) onLinkClick(node);
+      return;
+    }
+
+    // Route tool: click the source, then the destination
+    if (tool === 'route') {
+      const node = pickNode(event);
+      if (node && !wasPointerDragged(event)) onRouteClick(node);
+      return;
+    }
+
+    // Click a node to select it, empty space to deselect (not after orbiting)
+    if (tool !== 'add') {
+      if (!wasPointerDragged(event)) selectNode(pickNode(event));
+      return;
+    }
+
+    setPointer(event);
+
+    // Create a plane at z=0 to intersect with
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+    raycaster.setFromCamera(mouse, camera);
+
+    const intersectPoint = new THREE.Vector3();
+    raycaster.ray.intersectPlane(plane, intersectPoint);
+
+    if (intersectPoint) {
+      // Limit the position within bounds
+      intersectPoint.x = Math.max(-10, Math.min(10, intersectPoint.x));
+      intersectPoint.y = Math.max(-10, Math.min(10, intersectPoint.y));
+      intersectPoint.z = (random() - 0.5) * 4; // Add some depth variation
+
+      // Don't allow nodes too close to center
+      const distFromCenter = Math.sqrt(intersectPoint.x ** 2 + intersectPoint.y ** 2);
+      if (distFromCenter < 2) {
+        // Push node outward
+        const angle = Math.atan2(intersectPoint.y, intersectPoint.x);
+        intersectPoint.x = Math.cos(angle) * 2.5;
+        intersectPoint.y = Math.sin(angle) * 2.5;
+      }
+
+      spawnNode(intersectPoint);
+    }
+  }
+
+  // === Add New Node ===
+  // Placed by a click (type from the + NODE type) or through addNode(); the
+  // node scales in, links to its neighbors and is one undoable step
+  function spawnNode(position, { id = generateNodeId(), label, type = newNodeType, color } = {}) {
+    const preset = presets[currentViz];
+    const typeKey = Object.hasOwn(NODE_TYPES, type) ? type : 'default';
+
+    // Typed nodes wear their type's color; plain ones the preset accent
+    color = color ?? NODE_TYPES[typeKey].color ?? preset.colors.accent;
+    const node = createNodeObject(position, { emissiveIntensity: 0.8, radius: config.nodeSize * 1.5 });
+
+    node.userData = {
+      id,
+      label,
+      type,
+      originalPosition: position.clone(),
+      phase: random() * Math.PI * 2,
+      speed: 0.5 + random() * 0.5,
+      color: color,
+      isNew: true
+    };
+
+    // Spawn animation
+    node.scale.setScalar(0);
+
+    nodes.push(node);
+
+    // Animate spawn
+    const targetScale = 1.5;
+    const animateSpawn = () => {
+      if (node.scale.x < targetScale) {
+        node.scale.addScalar(0.1);
+        spawnFrames.set(node, requestAnimationFrame(animateSpawn));
+      } else {
+        node.scale.setScalar(targetScale);
+        spawnFrames.delete(node);
+      }
+    };
+    animateSpawn();
+
+    // Connect to nearby nodes
+    connectNewNode(node);
+
+    // Undo detaches the node together with the connections made above
+    let record = null;
+    pushHistory({
+      label: 'add node',
+      undo: () => { record = detachNode(node); },
+      redo: () => { reattachNode(record); }
+    });
+
+    graphChanged();
+    return id;
+  }
+
+  // === Connect New Node to Nearby Nodes ===
+  function connectNewNode(newNode) {
+    const preset = presets[currentViz];
+
+    // Connect to nearby existing nodes only (not to core)
+    for (let i = 0; i < nodes.length - 1; i++) {
+      const distance = newNode.position.distanceTo(nodes[i].position);
+
+      if (distance < config.connectionDistance * 1.5) {
+        connections.push(createConnection(
+          { nodeIndex1: nodes.length - 1, nodeIndex2: i },
+          { color: preset.colors.accent, opacity: 0.5 }
+        ));
+      }
+    }
+  }
+
+  // === Reset Scene ===
+  function resetScene() {
+    // Stop any recording
+    if (isRecording) {
+      stopRecording();
+    }
+
+    // Clear all pulses
+    clearDataPulses();
+
+    // Drop any loaded graph and go back to random generation
+    loadedGraph = null;
+
+    // Reset visualization to Neural Network
+    currentViz = 'neural';
+    const preset = presets.neural;
+    usePresetConfig(preset);
+
+    // Clear and rebuild entire scene
+    clearScene();
+    reseedRandom();
+    createCoreNode();
+    createNodes();
+    createConnections();
+    createParticlesForPreset(preset);
+    updateLightsForPreset(preset);
+
+    // Reset camera
+    camera.position.set(0, 5, 12);
+    camera.lookAt(0, 0, 0);
+    controls.reset();
+
+    // Reset mode to orbit
+    setAnimationMode('orbit');
+
+    // Reset effects to defaults
+    setEffects({ bloom: true, pulses: true, dynamicLinks: false, labels: 'off', metric: 'off' });
+
+    // Back to plain selection
+    setTool('select');
+
+    graphChanged();
+    emit('presetchange', { key: currentViz, preset: presetInfo(currentViz) });
+  }
+
+  /**
+   * Capture the full scene state as a versioned, JSON-serializable document.
+   * @param {object} [options]
+   * @param {boolean} [options.topology=true] - Include per-node and per-connection state
+   * @param {boolean} [options.particles=false] - Include particle positions/velocities
+   * @returns {object} Scene document understood by restoreScene()
+   */
+  function serializeScene({ topology = true, particles = false } = {}) {
+    const doc = {
+      format: SCENE_FORMAT,
+      version: SCENE_VERSION,
+      seed: currentSeed,
+      viz: currentViz,
+      preset: presets[currentViz].custom ? normalizePreset(presets[currentViz]) : null,
+      mode: currentMode,
+      effects: { bloom: bloomEnabled, pulses: pulsesEnabled, dynamicLinks: dynamicLinksEnabled, labels: labelMode, metric: analyticsMode },
+      camera: {
+        position: camera.position.toArray(),
+        target: controls.target.toArray()
+      },
+      graph: loadedGraph ? graphToJSON(loadedGraph) : null,
+      nodes: nodes.map(node => ({
+        position: node.position.toArray(),
+        scale: node.scale.x,
+        radius: node.radius,
+        emissiveIntensity: node.emissiveIntensity,
+        userData: serializeValue(node.userData)
+      })),
+      connections: connections.map(conn => ({
+        color: conn.color.getHex(),
+        opacity: conn.opacity,
+        userData: serializeValue(conn.userData)
+      }))
+    };
+
+    if (!topology) {
+      delete doc.nodes;
+      delete doc.connections;
+    }
+
+    if (particles && particleSystem) {
+      const attributes = particleSystem.geometry.attributes;
+      doc.particles = {
+        positions: Array.from(attributes.position.array),
+        velocities: attributes.velocity ? Array.from(attributes.velocity.array) : null
+      };
+    }
+
+    return doc;
+  }
+
+  // xyz as a plain array, the way serializeScene writes vectors
+  function isVectorArray(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+  }
+
+  // Check a scene document before touching the live scene; returns its
+  // normalized graph (null when it has none)
+  function validateSceneDocument(doc) {
+    if (!doc || doc.format !== SCENE_FORMAT) {
+      throw new Error('Not an ICE Visualizer scene file');
+    }
+    if (!Number.isInteger(doc.version) || doc.version > SCENE_VERSION) {
+      throw new Error(`Unsupported scene version ${doc.version}`);
+    }
+    if (!presets[doc.viz]) {
+      // Custom presets travel with the scene
+      if (!doc.preset) throw new Error(`Unknown visualization "${doc.viz}"`);
+      normalizePreset(doc.preset);
+    }
+    const graph = doc.graph ? normalizeGraph(doc.graph) : null;
+    if (doc.camera && !(isVectorArray(doc.camera.position) && isVectorArray(doc.camera.target))) {
+      throw new Error('Scene camera is invalid');
+    }
+    // Topology is optional (shared links may omit it), but must be complete
+    if (doc.nodes === undefined && doc.connections === undefined) return graph;
+    if (!Array.isArray(doc.nodes) || !Array.isArray(doc.connections)) {
+      throw new Error('Scene file is missing nodes or connections');
+    }
+    doc.nodes.forEach((node, i) => {
+      const original = node?.userData?.originalPosition;
+      if (!isVectorArray(node?.position) || (original !== undefined && !isVectorArray(original.$vec3))) {
+        throw new Error(`Node #${i} has an invalid position`);
+      }
+    });
+    doc.connections.forEach((conn, i) => {
+      const data = conn.userData || {};
+      const indices = data.toCore ? [data.nodeIndex] : [data.nodeIndex1, data.nodeIndex2];
+      if (!indices.every(index => Number.isInteger(index) && index >= 0 && index < doc.nodes.length)) {
+        throw new Error(`Connection #${i} references a missing node`);
+      }
+    });
+    return graph;
+  }
+
+  /**
+   * Rebuild the scene exactly as described by a serializeScene() document.
+   * Throws (leaving the current scene untouched) if the document is invalid.
+   * @param {object} doc - Scene document
+   */
+  function restoreScene(doc) {
+    const graph = validateSceneDocument(doc);
+
+    if (isRecording) {
+      stopRecording();
+    }
+
+    if (!presets[doc.viz]) definePreset(doc.viz, doc.preset, { transient: true });
+    const preset = presets[doc.viz];
+    currentViz = doc.viz;
+    usePresetConfig(preset);
+
+    loadedGraph = graph;
+
+    clearScene();
+    if (Number.isInteger(doc.seed)) {
+      setSeed(doc.seed);
+    } else {
+      reseedRandom();
+    }
+    createCoreNode();
+
+    if (doc.nodes) {
+      restoreTopology(doc);
+    } else {
+      createNodes();
+      createConnections();
+    }
+
+    createParticlesForPreset(preset);
+    restoreParticles(doc.particles);
+    updateLightsForPreset(preset);
+
+    // Mode (without resetting the restored node scales)
+    const scales = nodes.map(node => node.scale.x);
+    setAnimationMode(ANIMATION_MODES.includes(doc.mode) ? doc.mode : 'orbit');
+    nodes.forEach((node, i) => node.scale.setScalar(scales[i]));
+
+    // Effects
+    bloomEnabled = doc.effects?.bloom ?? true;
+    pulsesEnabled = doc.effects?.pulses ?? true;
+    setDynamicLinks(doc.effects?.dynamicLinks ?? false);
+    setLabelMode(LABEL_MODES.includes(doc.effects?.labels) ? doc.effects.labels : 'off');
+    setAnalyticsMode(doc.effects?.metric);
+    effectsChanged();
+
+    // Camera
+    if (doc.camera) {
+      camera.position.fromArray(doc.camera.position);
+      controls.target.fromArray(doc.camera.target);
+      controls.update();
+    }
+
+    graphChanged();
+    emit('presetchange', { key: currentViz, preset: presetInfo(currentViz) });
+  }
+
+  // Recreate nodes and connections from a scene document
+  function restoreTopology(doc) {
+    // Nodes
+    doc.nodes.forEach(data => {
+      const userData = deserializeValue(data.userData || {});
+      const position = new THREE.Vector3().fromArray(data.position);
+      if (!userData.originalPosition) userData.originalPosition = position.clone();
+      if (!userData.id) userData.id = generateNodeId();
+
+      const node = createNodeObject(position, {
+        emissiveIntensity: data.emissiveIntensity ?? 0.4,
+        radius: data.radius || config.nodeSize
+      });
+      node.scale.setScalar(data.scale ?? 1);
+      node.userData = userData;
+
+      nodes.push(node);
+    });
+
+    // Connections
+    doc.connections.forEach(data => {
+      connections.push(createConnection(deserializeValue(data.userData), {
+        color: data.color ?? config.colors.cyan,
+        opacity: data.opacity ?? 0.3
+      }));
+    });
+  }
+
+  // Overwrite the fresh particle buffers with saved state when the counts match
+  function restoreParticles(state) {
+    if (!state || !particleSystem) return;
+
+    const attributes = particleSystem.geometry.attributes;
+    if (Array.isArray(state.positions) && state.positions.length === attributes.position.array.length) {
+      attributes.position.array.set(state.positions);
+      attributes.position.needsUpdate = true;
+    }
+    if (attributes.velocity && Array.isArray(state.velocities) &&
+        state.velocities.length === attributes.velocity.array.length) {
+      attributes.velocity.array.set(state.velocities);
+      attributes.velocity.needsUpdate = true;
+    }
+    invalidateParticleWorker();
+  }
+
+  // === Graph Changes ===
+  // Node/connection counts and analytics for the host; call after any edit.
+  // The revision lets caches keyed on the graph tell a rebuilt or edited graph
+  // from one that merely has the same shape.
+  let graphRevision = 0;
+
+  function graphChanged() {
+    graphRevision++;
+    emit('graphchange', graphStats());
+    if (selectedNode) selectionChanged();
+  }
+
+  function graphStats() {
+    return { nodes: nodes.length, connections: connections.length, types: typeCounts() };
+  }
+
+  // === Mouse Move Handler ===
+  function onMouseMove(event) {
+    setPointer(event);
+
+    // Update 3D mouse position for gravity
+    raycaster.setFromCamera(mouse, camera);
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+    raycaster.ray.intersectPlane(plane, mouseWorld);
+
+    // Only hover labels need to know what's under the pointer
+    if (labelMode === 'hover') {
+      hoveredNode = pickNode(event);
+    } else {
+      hoveredNode = null;
+    }
+  }
+
+  // === Node Picking ===
+  function pickNode(event) {
+    setPointer(event);
+
+    raycaster.setFromCamera(mouse, camera);
+
+    // Instances are matched back to nodes through their type's batch
+    syncNodeBatch();
+    const intersects = raycaster.intersectObjects([...nodeBatches.values()], false);
+
+    return intersects.length > 0 ? intersects[0].object.userData.nodes[intersects[0].instanceId] : null;
+  }
+
+  // === Right-Click to Delete Node ===
+  function onRightClick(event) {
+    event.preventDefault();
+
+    const node = pickNode(event);
+    if (node) {
+      deleteNode(node);
+    }
+  }
+
+  // === Delete Node ===
+  function deleteNode(node) {
+    if (nodes.indexOf(node) === -1) return;
+
+    let record = detachNode(node);
+    pushHistory({
+      label: 'delete node',
+      undo: () => { reattachNode(record); },
+      redo: () => { record = detachNode(node); }
+    });
+
+    graphChanged();
+  }
+
+  /**
+   * Remove a node and its connections from the scene, shifting the
+   * index-based references of the remaining connections down.
+   * @returns {object} Record that reattachNode() uses to undo the removal
+   */
+  function detachNode(node) {
+    const nodeIndex = nodes.indexOf(node);
+    if (node === selectedNode) selectNode(null);
+
+    // Remove associated connections, remembering where they sat
+    const lines = [];
+    connections.forEach((conn, index) => {
+      const data = conn.userData;
+      if (data.nodeIndex === nodeIndex ||
+          data.nodeIndex1 === nodeIndex ||
+          data.nodeIndex2 === nodeIndex) {
+        lines.push({ line: conn, index });
+      }
+    });
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+      connections.splice(lines[i].index, 1);
+    }
+
+    // Remove node
+    nodes.splice(nodeIndex, 1);
+
+    // Update connection indices
+    connections.forEach(conn => {
+      const data = conn.userData;
+      if (data.nodeIndex > nodeIndex) data.nodeIndex--;
+      if (data.nodeIndex1 > nodeIndex) data.nodeIndex1--;
+      if (data.nodeIndex2 > nodeIndex) data.nodeIndex2--;
+    });
+
+    return { node, nodeIndex, lines };
+  }
+
+  // Put a detached node back at its old index and restore its connections
+  function reattachNode({ node, nodeIndex, lines }) {
+    // Shift references past the reinserted slot back up
+    connections.forEach(conn => {
+      const data = conn.userData;
+      if (data.nodeIndex >= nodeIndex) data.nodeIndex++;
+      if (data.nodeIndex1 >= nodeIndex) data.nodeIndex1++;
+      if (data.nodeIndex2 >= nodeIndex) data.nodeIndex2++;
+    });
+
+    nodes.splice(nodeIndex, 0, node);
+
+    // Removed lines still hold the indices they had before the removal
+    lines.forEach(({ line, index }) => {
+      connections.splice(index, 0, line);
+    });
+  }
+
+  // === Manual Edges ===
+  let linkSourceNode = null;
+
+  function onLinkClick(node) {
+    if (!linkSourceNode) {
+      linkSourceNode = node;
+      node.emissiveIntensity = 1.5;
+      notify('Shift+click another node to link / unlink');
+      return;
+    }
+
+    const source = linkSourceNode;
+    linkSourceNode = null;
+    source.emissiveIntensity = source.userData.isNew ? 0.8 : 0.4;
+    if (source === node) return;
+
+    const existing = findConnection(source, node);
+    if (existing) {
+      removeEdge(existing);
+      notify('Nodes unlinked');
+    } else {
+      addEdge(source, node);
+      notify('Nodes linked');
+    }
+  }
+
+  function findConnection(nodeA, nodeB) {
+    const a = nodes.indexOf(nodeA);
+    const b = nodes.indexOf(nodeB);
+    return connections.find(conn => {
+      const data = conn.userData;
+      return (data.nodeIndex1 === a && data.nodeIndex2 === b) ||
+             (data.nodeIndex1 === b && data.nodeIndex2 === a);
+    }) || null;
+  }
+
+  // Connect two nodes by hand (undoable)
+  function addEdge(nodeA, nodeB) {
+    const preset = presets[currentViz];
+    const line = createConnection(
+      { nodeIndex1: nodes.indexOf(nodeA), nodeIndex2: nodes.indexOf(nodeB), manual: true },
+      { color: preset.colors.accent, opacity: 0.5 }
+    );
+
+    const record = { line, index: connections.length };
+    attachEdge(record);
+    pushHistory({
+      label: 'link nodes',
+      undo: () => detachEdge(record),
+      redo: () => attachEdge(record)
+    });
+
+    graphChanged();
+    return line;
+  }
+
+  // Remove a connection (undoable)
+  function removeEdge(line) {
+    const record = { line, index: connections.indexOf(line) };
+    if (record.index === -1) return;
+
+    detachEdge(record);
+    pushHistory({
+      label: 'unlink nodes',
+      undo: () => attachEdge(record),
+      redo: () => detachEdge(record)
+    });
+
+    graphChanged();
+  }
+
+  function attachEdge({ line, index }) {
+    connections.splice(index, 0, line);
+  }
+
+  function detachEdge({ line }) {
+    // Dynamic links may have shifted the list since the record was made
+    const index = connections.indexOf(line);
+    if (index !== -1) connections.splice(index, 1);
+  }
+
+  // === Node Labels ===
+  // Labels are CSS2DObjects tracking each node (text from userData.label,
+  // falling back to the id) plus one for the core. Every frame they are laid
+  // out in screen space: faded with camera distance, then placed greedily in
+  // priority order (selected, hovered, core, nearest first) and hidden where
+  // they would overlap a label already placed. Screenshots draw the same
+  // layout onto the exported image (drawLabels).
+  const LABEL_MODES = ['off', 'always', 'hover', 'selected'];
+  const LABEL_FONT_SIZE = 10;
+  const LABEL_FONT = `${LABEL_FONT_SIZE}px 'Courier New', monospace`;
+  const LABEL_OFFSET = 10;       // Pixels between a node and its label
+  const LABEL_FADE_NEAR = 8;     // Full opacity up to this camera distance
+  const LABEL_FADE_FAR = 28;     // Invisible beyond this camera distance
+  const LABEL_MAX_VISIBLE = 200; // Layout stops once this many are placed
+  const CORE_LABEL = 'CORE';
+
+  // Inline so the core needs no stylesheet; the class names are kept as hooks
+  const LABEL_LAYER_STYLE = { position: 'absolute', top: '0', left: '0', pointerEvents: 'none' };
+  const LABEL_STYLE = {
+    fontFamily: "'Courier New', monospace",
+    fontSize: `${LABEL_FONT_SIZE}px`,
+    letterSpacing: '1px',
+    color: '#02d7f2',
+    textShadow: '0 0 4px #02d7f2',
+    whiteSpace: 'nowrap',
+    paddingBottom: `${LABEL_OFFSET}px`,
+    pointerEvents: 'none'
+  };
+
+  let labelRenderer = null;
+  let labelMode = 'off';
+  let hoveredNode = null;
+  let coreLabel = null;
+  const nodeLabels = new Map(); // node -> CSS2DObject
+  let labelMeasureContext = null;
+
+  function setupLabels() {
+    labelRenderer = new CSS2DRenderer();
+    const { width, height } = viewportSize();
+    labelRenderer.setSize(width, height);
+    labelRenderer.domElement.className = 'label-layer';
+    Object.assign(labelRenderer.domElement.style, LABEL_LAYER_STYLE);
+    container.appendChild(labelRenderer.domElement);
+    setLabelMode(labelMode);
+  }
+
+  function setLabelMode(mode) {
+    labelMode = mode;
+    if (labelRenderer) {
+      labelRenderer.domElement.style.display = mode === 'off' ? 'none' : '';
+    }
+  }
+
+  function labelText(node) {
+    return String(node.userData.label ?? node.userData.id);
+  }
+
+  function createLabelObject(text) {
+    const element = document.createElement('div');
+    element.className = 'node-label';
+    Object.assign(element.style, LABEL_STYLE);
+    element.textContent = text;
+
+    const label = new CSS2DObject(element);
+    label.center.set(0.5, 1); // Sit above the anchor point
+    label.userData.text = text;
+    label.userData.width = measureLabel(text);
+    scene.add(label);
+    return label;
+  }
+
+  function removeLabelObject(label) {
+    scene.remove(label);
+    label.element.remove();
+  }
+
+  function disposeLabels() {
+    nodeLabels.forEach(removeLabelObject);
+    nodeLabels.clear();
+    if (coreLabel) removeLabelObject(coreLabel);
+    coreLabel = null;
+  }
+
+  // Text width without touching the DOM (measured once per text)
+  function measureLabel(text) {
+    if (!labelMeasureContext) {
+      labelMeasureContext = document.createElement('canvas').getContext('2d');
+      labelMeasureContext.font = LABEL_FONT;
+    }
+    return labelMeasureContext.measureText(text).width + text.length; // + letter-spacing
+  }
+
+  // Keep one label object per node, in sync with its text
+  function syncLabelObjects() {
+    const current = new Set(nodes);
+    nodeLabels.forEach((label, node) => {
+      if (!current.has(node)) {
+        removeLabelObject(label);
+        nodeLabels.delete(node);
+      }
+    });
+
+    nodes.forEach(node => {
+      const text = labelText(node);
+      let label = nodeLabels.get(node);
+      if (!label) {
+        label = createLabelObject(text);
+        nodeLabels.set(node, label);
+      } else if (label.userData.text !== text) {
+        label.element.textContent = text;
+        label.userData.text = text;
+        label.userData.width = measureLabel(text);
+      }
+      label.position.copy(node.position);
+    });
+
+    if (!coreLabel) coreLabel = createLabelObject(CORE_LABEL);
+    coreLabel.position.set(0, 0, 0);
+  }
+
+  function isLabelShown(node) {
+    switch (labelMode) {
+      case 'always': return true;
+      case 'hover': return node === hoveredNode || node === selectedNode;
+      case 'selected': return node === selectedNode;
+      default: return false;
+    }
+  }
+
+  /**
+   * Screen-space layout of the labels that should be visible.
+   * @param {number} width - Viewport width in pixels
+   * @param {number} height - Viewport height in pixels
+   * @param {number} [scale=1] - Text size multiplier (for hi-res exports)
+   * @returns {Array<{label, text, x, y, opacity}>} Placed labels
+   */
+  function layoutLabels(width, height, scale = 1) {
+    const candidates = [];
+    const projected = new THREE.Vector3();
+
+    const consider = (label, anchor, priority) => {
+      const distance = camera.position.distanceTo(anchor);
+      const opacity = priority > 0 ? 1
+        : 1 - Math.max(0, Math.min(1, (distance - LABEL_FADE_NEAR) / (LABEL_FADE_FAR - LABEL_FADE_NEAR)));
+      if (opacity <= 0.05) return;
+
+      projected.copy(anchor).project(camera);
+      if (projected.z < -1 || projected.z > 1) return;
+
+      candidates.push({
+        label,
+        text: label.userData.text,
+        x: (projected.x + 1) / 2 * width,
+        y: (1 - projected.y) / 2 * height,
+        opacity,
+        priority,
+        distance
+      });
+    };
+
+    nodes.forEach(node => {
+      if (!isLabelShown(node)) return;
+      const priority = node === selectedNode ? 2 : node === hoveredNode ? 1 : 0;
+      consider(nodeLabels.get(node), node.position, priority);
+    });
+    if (labelMode === 'always' && coreLabel) {
+      consider(coreLabel, coreLabel.position, 0);
+    }
+
+    candidates.sort((a, b) => b.priority - a.priority || a.distance - b.distance);
+
+    // Greedy placement: first come, first placed; overlapping labels are dropped
+    const placed = [];
+    const boxHeight = (LABEL_FONT_SIZE + 4) * scale;
+    for (const candidate of candidates) {
+      if (placed.length >= LABEL_MAX_VISIBLE) break;
+
+      const boxWidth = candidate.label.userData.width * scale;
+      const box = {
+        left: candidate.x - boxWidth / 2,
+        right: candidate.x + boxWidth / 2,
+        top: candidate.y - LABEL_OFFSET * scale - boxHeight,
+        bottom: candidate.y - LABEL_OFFSET * scale
+      };
+      const overlaps = placed.some(({ box: other }) =>
+        box.left < other.right && box.right > other.left &&
+        box.top < other.bottom && box.bottom > other.top);
+
+      if (!overlaps) placed.push({ ...candidate, box });
+    }
+
+    return placed;
+  }
+
+  function renderLabels() {
+    if (!labelRenderer || labelMode === 'off') return;
+
+    syncLabelObjects();
+
+    nodeLabels.forEach(label => { label.visible = false; });
+    coreLabel.visible = false;
+    const { width, height } = viewportSize();
+    layoutLabels(width, height).forEach(({ label, opacity }) => {
+      label.visible = true;
+      label.element.style.opacity = opacity;
+    });
+
+    labelRenderer.render(scene, camera);
+  }
+
+  // Paint the current label layout onto an exported frame
+  function drawLabels(context, width, height) {
+    if (labelMode === 'off') return;
+
+    syncLabelObjects();
+    const scale = width / viewportSize().width;
+
+    context.save();
+    context.font = `${LABEL_FONT_SIZE * scale}px 'Courier New', monospace`;
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.shadowColor = '#02d7f2';
+    context.shadowBlur = 4 * scale;
+    context.fillStyle = '#02d7f2';
+
+    layoutLabels(width, height, scale).forEach(({ text, x, y, opacity }) => {
+      context.globalAlpha = opacity;
+      context.fillText(text, x, y - LABEL_OFFSET * scale);
+    });
+
+    context.restore();
+  }
+
+  // === Node Selection & Inspector ===
+  // Clicking a node selects it: it glows brighter, gets a halo and its fields
+  // show in the inspector panel, where they can be edited (undoably). Nodes
+  // can be dragged on the screen-aligned plane through their position.
+  const SELECTION_GLOW = 1.2; // Extra emissive intensity on the selected node
+  const DRAG_CLICK_TOLERANCE = 5; // Pixels a click may move before it's a drag
+
+  let selectedNode = null;
+  let selectionHalo = null;
+  let dragState = null;
+  let pointerDownAt = null;
+
+  function selectNode(node) {
+    selectedNode = node || null;
+    selectionChanged();
+  }
+
+  function syncSelectionHalo() {
+    if (!selectedNode) {
+      if (selectionHalo) selectionHalo.visible = false;
+      return;
+    }
+
+    if (!selectionHalo) {
+      selectionHalo = new THREE.Mesh(
+        new THREE.IcosahedronGeometry(1, 1),
+        new THREE.MeshBasicMaterial({
+          color: config.colors.yellow,
+          wireframe: true,
+          transparent: true,
+          opacity: 0.5,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false
+        })
+      );
+      scene.add(selectionHalo);
+    }
+
+    selectionHalo.visible = true;
+    selectionHalo.position.copy(selectedNode.position);
+    const style = metricStyle(selectedNode);
+    const size = selectedNode.radius * (style ? style.size : 1);
+    selectionHalo.scale.setScalar(size * Math.max(selectedNode.scale.x, 0.5) * 2.5);
+    selectionHalo.rotation.y = time;
+  }
+
+  function disposeSelectionHalo() {
+    if (!selectionHalo) return;
+    scene.remove(selectionHalo);
+    selectionHalo.geometry.dispose();
+    selectionHalo.material.dispose();
+    selectionHalo = null;
+  }
+
+  function nodeDegree(node) {
+    const index = nodes.indexOf(node);
+    return connections.filter(conn => {
+      const data = conn.userData;
+      return data.nodeIndex === index || data.nodeIndex1 === index || data.nodeIndex2 === index;
+    }).length;
+  }
+
+  /**
+   * Plain description of a node for hosts.
+   * @returns {{ id: string, label: string|undefined, type: string, color: number,
+   *   position: number[], degree: number, betweenness: number|null }}
+   */
+  function nodeInfo(node) {
+    const data = node.userData;
+    const metrics = nodeMetrics(node);
+    return {
+      id: data.id,
+      label: data.label,
+      type: data.type ?? 'default',
+      color: data.color,
+      position: data.originalPosition.toArray(),
+      degree: nodeDegree(node),
+      betweenness: metrics ? metrics.betweenness : null
+    };
+  }
+
+  // The selection changed, or the selected node did
+  function selectionChanged() {
+    emit('selectionchange', selectedNode ? nodeInfo(selectedNode) : null);
+  }
+
+  // Validate edits to a node's fields; throws if any is invalid
+  function parseNodeChanges(node, { id, label, type, color, position } = {}) {
+    const changes = {};
+    if (id !== undefined) {
+      id = String(id).trim();
+      if (id !== node.userData.id) {
+        if (!id || id === CORE_NODE_ID || findNodeById(id)) throw new Error(`Node id "${id}" is not available`);
+        changes.id = id;
+      }
+    }
+    if (label !== undefined) changes.label = String(label);
+    if (type !== undefined) changes.type = String(type).trim() || 'default';
+    if (color !== undefined) {
+      changes.color = parseColor(color);
+      if (changes.color === null) throw new Error(`Node "${node.userData.id}" has an invalid color`);
+    }
+    if (position !== undefined) {
+      changes.position = parsePosition(position);
+      if (!changes.position) throw new Error(`Node "${node.userData.id}" has an invalid position`);
+    }
+    return changes;
+  }
+
+  function applyNodeChanges(node, changes) {
+    Object.entries(changes).forEach(([key, value]) => {
+      if (key === 'position') {
+        node.userData.originalPosition.copy(value);
+        node.position.copy(value);
+      } else {
+        node.userData[key] = value;
+      }
+    });
+  }
+
+  /**
+   * Edit a node (one undoable step).
+   * @param {string} id
+   * @param {object} changes - Any of id, label, type, color and position
+   *   (Graph Data formats)
+   */
+  function updateNode(id, changes) {
+    const node = requireNode(id, { allowCore: false });
+    const next = parseNodeChanges(node, changes);
+    const previous = {};
+    Object.keys(next).forEach(key => {
+      previous[key] = key === 'position' ? node.userData.originalPosition.clone() : node.userData[key];
+    });
+    const keys = Object.keys(next);
+    if (keys.length === 0) return;
+
+    const apply = values => {
+      applyNodeChanges(node, values);
+      graphChanged();
+      if (node === selectedNode) selectionChanged();
+    };
+
+    apply(next);
+    pushHistory({
+      label: keys.length === 1 ? `edit node ${keys[0]}` : 'edit node',
+      undo: () => apply(previous),
+      redo: () => apply(next)
+    });
+  }
+
+  // --- Dragging ---
+  function setRayFromEvent(event) {
+    setPointer(event);
+    raycaster.setFromCamera(mouse, camera);
+  }
+
+  function wasPointerDragged(event) {
+    return pointerDownAt !== null &&
+      Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y) > DRAG_CLICK_TOLERANCE;
+  }
+
+  function onCanvasPointerDown(event) {
+    pointerDownAt = { x: event.clientX, y: event.clientY };
+    if (event.button !== 0 || event.shiftKey || tool === 'add') return;
+
+    const node = pickNode(event);
+    if (!node) return;
+
+    // Drag on the plane facing the camera through the node
+    const normal = camera.getWorldDirection(new THREE.Vector3());
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, node.position);
+    const hit = new THREE.Vector3();
+    if (!raycaster.ray.intersectPlane(plane, hit)) return;
+
+    controls.enabled = false;
+    renderer.domElement.setPointerCapture(event.pointerId);
+    selectNode(node);
+
+    dragState = {
+      node,
+      plane,
+      offset: node.position.clone().sub(hit),
+      from: node.userData.originalPosition.clone(),
+      moved: false
+    };
+  }
+
+  function onCanvasPointerMove(event) {
+    if (!dragState) return;
+
+    setRayFromEvent(event);
+    const hit = new THREE.Vector3();
+    if (!raycaster.ray.intersectPlane(dragState.plane, hit)) return;
+
+    const { node } = dragState;
+    node.position.copy(hit.add(dragState.offset));
+    node.userData.originalPosition.copy(node.position);
+    dragState.moved = true;
+    selectionChanged();
+  }
+
+  function onCanvasPointerUp(event) {
+    if (!dragState) return;
+
+    const { node, from, moved } = dragState;
+    dragState = null;
+    controls.enabled = true;
+    if (renderer.domElement.hasPointerCapture(event.pointerId)) {
+      renderer.domElement.releasePointerCapture(event.pointerId);
+    }
+
+    if (moved) moveNode(node, node.position, from);
+  }
+
+  // === Move Node ===
+  // Move a node to a new resting position (undoable); animation modes work
+  // from userData.originalPosition, so that is what gets moved. `from` is the
+  // position undo returns to, for moves (drags) that already moved the node.
+  function moveNode(node, position, from = node.userData.originalPosition.clone()) {
+    const to = position.clone();
+    if (from.equals(to)) return;
+
+    const apply = target => {
+      node.userData.originalPosition.copy(target);
+      node.position.copy(target);
+      if (node === selectedNode) selectionChanged();
+    };
+
+    apply(to);
+    pushHistory({
+      label: 'move node',
+      undo: () => apply(from),
+      redo: () => apply(to)
+    });
+  }
+
+  // === Edit History (Undo / Redo) ===
+  const HISTORY_LIMIT = 100;
+  let undoStack = [];
+  let redoStack = [];
+
+  // Commands are { label, undo(), redo() } and are recorded after being applied
+  function pushHistory(command) {
+    undoStack.push(command);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+    historyChanged();
+  }
+
+  function undo() {
+    const command = undoStack.pop();
+    if (!command) return;
+
+    command.undo();
+    redoStack.push(command);
+    historyChanged();
+    graphChanged();
+    notify(`Undo ${command.label}`);
+  }
+
+  function redo() {
+    const command = redoStack.pop();
+    if (!command) return;
+
+    command.redo();
+    undoStack.push(command);
+    historyChanged();
+    graphChanged();
+    notify(`Redo ${command.label}`);
+  }
+
+  // Rebuilding the scene replaces every node, so old commands no longer apply
+  function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    linkSourceNode = null;
+    historyChanged();
+  }
+
+  function historyChanged() {
+    emit('historychange', historyState());
+  }
+
+  function historyState() {
+    return { canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 };
+  }
+
+  // === Data Pulses ===
+  const MAX_DATA_PULSES = 50; // Prevent unbounded growth
+  const PULSE_MAX_HOPS = 4;   // Relayed / reflected legs before a pulse dies
+  const PULSE_ABSORB_GLOW = 0.8;
+  const PULSE_BLOCK_GLOW = 0.6;
+
+  // The two ends of a connection as [from, to]; the core is `coreNode`
+  function connectionNodes(conn) {
+    const data = conn.userData;
+    return data.toCore
+      ? [coreNode, nodes[data.nodeIndex]]
+      : [nodes[data.nodeIndex1], nodes[data.nodeIndex2]];
+  }
+
+  // Connections touching a node, optionally skipping one
+  function connectionsOf(node, except = null) {
+    const index = nodes.indexOf(node);
+    if (index === -1) return [];
+    return connections.filter(conn => {
+      if (conn === except || conn.fadingOut) return false;
+      const data = conn.userData;
+      return data.nodeIndex === index || data.nodeIndex1 === index || data.nodeIndex2 === index;
+    });
+  }
+
+  function spawnDataPulse() {
+    if (connections.length === 0) return;
+
+    // Pick random connection
+    const conn = connections[Math.floor(pulseRandom() * connections.length)];
+    launchPulse(conn, connectionNodes(conn)[0]);
+  }
+
+  // Point a pulse's leg along a connection, heading away from `from`
+  function routePulse(data, conn, from) {
+    const [a, b] = connectionNodes(conn);
+    if (from === b) {
+      getConnectionEndpoints(conn, data.end, data.start);
+      data.source = b;
+      data.target = a;
+    } else {
+      getConnectionEndpoints(conn, data.start, data.end);
+      data.source = a;
+      data.target = b;
+    }
+    data.conn = conn;
+    data.progress = 0;
+  }
+
+  // Send a pulse along a connection away from `from`; a routed pulse follows
+  // `route` (from findShortestPath) leg by leg
+  function launchPulse(conn, from, { hops = 0, route = null } = {}) {
+    // Limit active pulses to prevent memory issues
+    if (dataPulses.length >= MAX_DATA_PULSES) return;
+
+    const preset = presets[currentViz];
+
+    // Small, clean pulse using preset colors
+    const color = route ? preset.colors.accent : preset.colors.primary;
+    const geometry = new THREE.SphereGeometry(0.04, 8, 8);
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.9
+    });
+
+    const pulse = new THREE.Mesh(geometry, material);
+    pulse.userData = {
+      start: new THREE.Vector3(),
+      end: new THREE.Vector3(),
+      speed: route ? ROUTE_PULSE_SPEED : 0.015 + pulseRandom() * 0.02,
+      hops,
+      route,
+      leg: 0
+    };
+    routePulse(pulse.userData, conn, from);
+    pulse.position.copy(pulse.userData.start);
+
+    // Single subtle glow
+    const glowGeo = new THREE.SphereGeometry(0.08, 8, 8);
+    const glowMat = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: 0.3
+    });
+    const glow = new THREE.Mesh(glowGeo, glowMat);
+    pulse.add(glow);
+
+    scene.add(pulse);
+    dataPulses.push(pulse);
+  }
+
+  // What the pulse's target does with it (see NODE_TYPES)
+  function pulseBehavior(pulse) {
+    const target = pulse.userData.target;
+    if (target === coreNode || !nodes.includes(target)) return 'pass';
+    return nodeTypeOf(target).pulse;
+  }
+
+  // Whether the pulse carries on past its target, so it shouldn't fade out
+  function pulseContinues(pulse) {
+    const route = pulse.userData.route;
+    if (route && pulse.userData.leg < route.conns.length - 1) return true;
+    if (pulse.userData.hops >= PULSE_MAX_HOPS) return false;
+    const behavior = pulseBehavior(pulse);
+    return behavior === 'reflect' ||
+      (behavior === 'relay' && connectionsOf(pulse.userData.target, pulse.userData.conn).length > 0);
+  }
+
+  // Apply the target's pulse behavior; returns true if the pulse keeps moving
+  function onPulseArrived(pulse) {
+    const data = pulse.userData;
+    const target = data.target;
+
+    // Routed pulses pass straight through the nodes along their route
+    if (data.route) {
+      const next = data.route.conns[data.leg + 1];
+      if (next) {
+        if (!connections.includes(next)) return false;
+        routePulse(data, next, target);
+        data.leg++;
+        return true;
+      }
+      data.route = null;
+    }
+
+    const behavior = pulseBehavior(pulse);
+    const canContinue = data.hops < PULSE_MAX_HOPS;
+
+    switch (behavior) {
+      case 'absorb':
+        target.glow = Math.min(target.glow + PULSE_ABSORB_GLOW, 2.5);
+        return false;
+
+      case 'reflect':
+        // Blocked: flare and send the pulse back where it came from
+        target.glow = Math.max(target.glow, PULSE_BLOCK_GLOW);
+        if (!canContinue || !connections.includes(data.conn)) return false;
+        routePulse(data, data.conn, target);
+        data.hops++;
+        return true;
+
+      case 'relay': {
+        const onward = connectionsOf(target, data.conn);
+        if (!canContinue || onward.length === 0) return false;
+        routePulse(data, onward[Math.floor(pulseRandom() * onward.length)], target);
+        data.hops++;
+        return true;
+      }
+
+      case 'alert':
+        // Trips: flash and fire a pulse down every other link
+        target.glow = Math.max(target.glow, PULSE_BLOCK_GLOW);
+        if (canContinue) {
+          connectionsOf(target, data.conn).forEach(conn => launchPulse(conn, target, { hops: PULSE_MAX_HOPS }));
+        }
+        return false;
+
+      default:
+        return false;
+    }
+  }
+
+  // Drop every pulse in flight, including route trains still launching
+  function clearDataPulses() {
+    dataPulses.forEach(disposeDataPulse);
+    dataPulses = [];
+    routeTrains = [];
+  }
+
+  function disposeDataPulse(pulse) {
+    pulse.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+    scene.remove(pulse);
+  }
+
+  function animateDataPulses() {
+    const toRemove = [];
+
+    // Iterate over a copy: alerts may launch new pulses
+    dataPulses.slice().forEach(pulse => {
+      pulse.userData.progress += pulse.userData.speed;
+
+      if (pulse.userData.progress >= 1 && !onPulseArrived(pulse)) {
+        toRemove.push(pulse);
+        return;
+      }
+
+      // Lerp position along connection
+      const t = Math.min(pulse.userData.progress, 1);
+      pulse.position.lerpVectors(pulse.userData.start, pulse.userData.end, t);
+
+      // Fade out near end, unless the pulse goes on from there
+      const fade = t < 0.7 || pulseContinues(pulse) ? 0.9 : 0.9 * (1 - (t - 0.7) / 0.3);
+      pulse.material.opacity = fade;
+      if (pulse.children[0]) {
+        pulse.children[0].material.opacity = fade * 0.3;
+      }
+    });
+
+    // Remove completed pulses
+    toRemove.forEach(pulse => {
+      disposeDataPulse(pulse);
+      dataPulses.splice(dataPulses.indexOf(pulse), 1);
+    });
+  }
+
+  // === Routing ===
+  // Shortest paths over the live connection graph (the core is a vertex too),
+  // shown by lighting up the route and sending a train of pulses along it.
+  // Intermediate nodes let routed pulses through; the destination's type
+  // decides what happens on arrival, as for any other pulse.
+  const ROUTE_METRICS = ['hops', 'weight', 'distance'];
+  const ROUTE_TRAIN_LENGTH = 5;    // Pulses per train
+  const ROUTE_TRAIN_SPACING = 10;  // Ticks between pulses in a train
+  const ROUTE_PULSE_SPEED = 0.04;  // Constant so the train keeps its spacing
+  const ROUTE_HIGHLIGHT_DECAY = 0.97;
+  const ROUTE_COLOR = config.colors.white;
+
+  let routeMetric = 'hops';
+  let routeSourceNode = null;
+  let routeTrains = [];         // Trains still launching pulses
+
+  const routeColor = new THREE.Color(ROUTE_COLOR);
+
+  // Node (or the core) with the given id
+  function findNodeById(id) {
+    if (String(id) === CORE_NODE_ID) return coreNode;
+    return nodes.find(node => node.userData.id === String(id)) || null;
+  }
+
+  // Node (or the core, if allowed) for an id; throws if unknown
+  function requireNode(id, { allowCore = true } = {}) {
+    const node = id === undefined ? null : findNodeById(id);
+    if (!node || (!allowCore && node === coreNode)) {
+      throw new Error(`Unknown node "${id}"`);
+    }
+    return node;
+  }
+
+  function edgeCost(conn, metric) {
+    if (metric === 'hops') return 1;
+    if (metric === 'weight') return Math.max(conn.userData.weight ?? 1, 1e-6);
+    getConnectionEndpoints(conn, batchStart, batchEnd);
+    return batchStart.distanceTo(batchEnd);
+  }
+
+  /**
+   * Shortest path between two nodes (or the core) over the current connections.
+   * @param {THREE.Object3D} from
+   * @param {THREE.Object3D} to
+   * @param {string} metric - 'hops', 'weight' (edge weight as cost) or 'distance'
+   * @returns {{ nodes: THREE.Object3D[], conns: object[], cost: number } | null}
+   *   Path from `from` to `to`, or null if they are not connected
+   */
+  function findShortestPath(from, to, metric = 'hops') {
+    const adjacency = new Map();
+    const link = (a, b, conn) => {
+      if (!adjacency.has(a)) adjacency.set(a, []);
+      adjacency.get(a).push({ node: b, conn });
+    };
+    connections.forEach(conn => {
+      if (conn.fadingOut) return;
+      const [a, b] = connectionNodes(conn);
+      if (!a || !b) return;
+      link(a, b, conn);
+      link(b, a, conn);
+    });
+
+    // Dijkstra with a linear scan for the closest open vertex; graphs here are
+    // small enough that a heap isn't worth it
+    const dist = new Map([[from, 0]]);
+    const previous = new Map();
+    const open = new Set([from]);
+    const done = new Set();
+
+    while (open.size > 0) {
+      let current = null;
+      open.forEach(node => {
+        if (current === null || dist.get(node) < dist.get(current)) current = node;
+      });
+      if (current === to) break;
+      open.delete(current);
+      done.add(current);
+
+      (adjacency.get(current) || []).forEach(({ node, conn }) => {
+        if (done.has(node)) return;
+        const cost = dist.get(current) + edgeCost(conn, metric);
+        if (!dist.has(node) || cost < dist.get(node)) {
+          dist.set(node, cost);
+          previous.set(node, { node: current, conn });
+          open.add(node);
+        }
+      });
+    }
+
+    if (!dist.has(to)) return null;
+
+    const path = { nodes: [to], conns: [], cost: dist.get(to) };
+    for (let step = previous.get(to); step; step = previous.get(step.node)) {
+      path.nodes.unshift(step.node);
+      path.conns.unshift(step.conn);
+    }
+    return path;
+  }
+
+  /**
+   * Find the shortest path between two nodes, light it up and send a pulse
+   * train along it. Use "core" for the central hub.
+   * @param {string} fromId
+   * @param {string} toId
+   * @param {object} [options]
+   * @param {string} [options.metric='hops'] - 'hops', 'weight' or 'distance'
+   * @param {number} [options.train] - Number of pulses to send
+   * @returns {{ path: string[], hops: number, cost: number } | null}
+   *   The route as node ids, or null if the nodes are not connected
+   */
+  function route(fromId, toId, { metric = routeMetric, train = ROUTE_TRAIN_LENGTH } = {}) {
+    if (!ROUTE_METRICS.includes(metric)) {
+      throw new Error(`Unknown route metric "${metric}"`);
+    }
+    const from = findNodeById(fromId);
+    const to = findNodeById(toId);
+    if (!from) throw new Error(`Unknown node "${fromId}"`);
+    if (!to) throw new Error(`Unknown node "${toId}"`);
+
+    const path = findShortestPath(from, to, metric);
+    if (!path) return null;
+
+    if (path.conns.length > 0) {
+      routeTrains.push({ path, from, remaining: Math.max(1, Math.floor(train)), countdown: 0 });
+    }
+    [from, to].forEach(node => {
+      if (node !== coreNode) node.glow = Math.max(node.glow, PULSE_BLOCK_GLOW);
+    });
+
+    return {
+      path: path.nodes.map(node => (node === coreNode ? CORE_NODE_ID : node.userData.id)),
+      hops: path.conns.length,
+      cost: path.cost
+    };
+  }
+
+  // Launch due train pulses and fade route highlights; called once per tick
+  function updateRoutes() {
+    routeTrains = routeTrains.filter(train => {
+      // A train whose route was cut mid-launch stops sending
+      if (!train.path.conns.every(conn => connections.includes(conn))) return false;
+
+      if (train.countdown-- > 0) return true;
+      launchPulse(train.path.conns[0], train.from, { route: train.path });
+      train.countdown = ROUTE_TRAIN_SPACING;
+      return --train.remaining > 0;
+    });
+
+    // Routes stay lit while their pulses are in flight, then fade
+    connections.forEach(conn => { conn.highlight *= ROUTE_HIGHLIGHT_DECAY; });
+    dataPulses.forEach(pulse => {
+      const path = pulse.userData.route;
+      if (path) path.conns.forEach(conn => { conn.highlight = 1; });
+    });
+
+    // The picked source stays lit until the destination is clicked
+    if (routeSourceNode) routeSourceNode.glow = Math.max(routeSourceNode.glow, 1.5);
+  }
+
+  function setTool(name) {
+    if (!TOOLS.includes(name)) throw new Error(`Unknown tool "${name}"`);
+    tool = name;
+    routeSourceNode = null;
+    emit('toolchange', { tool });
+    if (tool === 'route') notify('Click the source node');
+  }
+
+  // Default metric for routes picked with the route tool and route()
+  function setRouteMetric(metric) {
+    if (!ROUTE_METRICS.includes(metric)) throw new Error(`Unknown route metric "${metric}"`);
+    routeMetric = metric;
+  }
+
+  function onRouteClick(node) {
+    if (!routeSourceNode) {
+      routeSourceNode = node;
+      notify('Click the destination node');
+      return;
+    }
+
+    const source = routeSourceNode;
+    routeSourceNode = null;
+    if (source === node) return;
+
+    const result = route(source.userData.id, node.userData.id);
+    if (result) {
+      notify(`Route: ${result.hops} hop${result.hops === 1 ? '' : 's'}`, 'success');
+    } else {
+      notify('No route between those nodes', 'error');
+    }
+  }
+
+  // === Graph Analytics ===
+  // Metrics from graph-analytics.js over the live graph; the core counts as a
+  // vertex once it has links. They are recomputed when the topology changes (at
+  // most every ANALYTICS_INTERVAL ms) and feed the 'analyticschange' event,
+  // node info and the color/size-by-metric node modes.
+  const ANALYTICS_MODES = ['off', 'degree', 'betweenness', 'component'];
+  const ANALYTICS_INTERVAL = 250;      // ms between recomputes while rewiring
+  const ANALYTICS_MAX_SOURCES = 128;   // Betweenness is sampled past this
+  const ANALYTICS_SIZE_BOOST = 1.5;    // Extra radius at the top of the range
+  const ANALYTICS_GRADIENT = [config.colors.cyan, config.colors.magenta, config.colors.yellow];
+  const ANALYTICS_COMPONENT_COLORS = [
+    config.colors.cyan, config.colors.magenta, config.colors.yellow,
+    0x39ff88, 0xff5522, 0x9d6bff
+  ];
+
+  let analyticsMode = 'off';
+  let analytics = null;          // { metrics, vertices, indexOf: Map(node -> vertex) }
+  let analyticsKey = null;       // Topology the metrics were computed for
+  let analyticsComputedAt = -Infinity;
+
+  const analyticsStyle = { color: new THREE.Color(), size: 1 };
+  const gradientLow = new THREE.Color();
+  const gradientHigh = new THREE.Color();
+
+  // Cheap signature of nodes and links, so unchanged topology isn't re-analyzed;
+  // the graph revision makes a rebuilt graph of the same shape count as new
+  function topologyKey() {
+    let hash = 0;
+    connections.forEach(conn => {
+      const data = conn.userData;
+      const a = data.toCore ? -1 : data.nodeIndex1;
+      const b = data.toCore ? data.nodeIndex : data.nodeIndex2;
+      hash = (Math.imul(hash, 31) + Math.imul(a + 1, 65537) + b) | 0;
+    });
+    return `${graphRevision}:${nodes.length}:${connections.length}:${hash}`;
+  }
+
+  // Recompute metrics if the topology changed; `force` skips the rate limit
+  function refreshAnalytics(force = false) {
+    const key = topologyKey();
+    if (key === analyticsKey) return;
+    const now = performance.now();
+    if (!force && now - analyticsComputedAt < ANALYTICS_INTERVAL) return;
+
+    const vertices = nodes.slice();
+    const coreIndex = vertices.length;
+    const edges = connections.map(conn => {
+      const data = conn.userData;
+      return data.toCore ? [data.nodeIndex, coreIndex] : [data.nodeIndex1, data.nodeIndex2];
+    });
+    if (edges.some(([, b]) => b === coreIndex)) vertices.push(coreNode);
+
+    analytics = {
+      metrics: analyzeGraph(vertices.length, edges, { maxSources: ANALYTICS_MAX_SOURCES }),
+      vertices,
+      indexOf: new Map(vertices.map((node, i) => [node, i]))
+    };
+    analyticsKey = key;
+    analyticsComputedAt = now;
+    analyticsChanged();
+    if (selectedNode) selectionChanged();
+  }
+
+  // Forget metrics for a graph that is being rebuilt; the next frame recomputes
+  function resetAnalytics() {
+    analyticsKey = null;
+    analyticsComputedAt = -Infinity;
+  }
+
+  function setAnalyticsMode(mode) {
+    analyticsMode = ANALYTICS_MODES.includes(mode) ? mode : 'off';
+  }
+
+  // Color and radius factor for a node under the current metric mode, or null
+  // when the node keeps its own look
+  function metricStyle(node) {
+    if (analyticsMode === 'off' || !analytics) return null;
+    const v = analytics.indexOf.get(node);
+    if (v === undefined) return null;
+    const metrics = analytics.metrics;
+
+    if (analyticsMode === 'component') {
+      const label = metrics.components.labels[v];
+      analyticsStyle.color.setHex(ANALYTICS_COMPONENT_COLORS[label % ANALYTICS_COMPONENT_COLORS.length]);
+      analyticsStyle.size = 1;
+      return analyticsStyle;
+    }
+
+    const value = analyticsMode === 'degree'
+      ? metrics.degree[v] / (metrics.maxDegree || 1)
+      : metrics.betweenness[v] / (metrics.maxBetweenness || 1);
+
+    // Low -> mid -> high along the gradient
+    const scaled = value * (ANALYTICS_GRADIENT.length - 1);
+    const step = Math.min(Math.floor(scaled), ANALYTICS_GRADIENT.length - 2);
+    gradientLow.setHex(ANALYTICS_GRADIENT[step]);
+    gradientHigh.setHex(ANALYTICS_GRADIENT[step + 1]);
+    analyticsStyle.color.copy(gradientLow).lerp(gradientHigh, scaled - step);
+    analyticsStyle.size = 1 + value * ANALYTICS_SIZE_BOOST;
+    return analyticsStyle;
+  }
+
+  // Metric values for one node (undefined before the first analysis)
+  function nodeMetrics(node) {
+    const v = analytics?.indexOf.get(node);
+    if (v === undefined) return undefined;
+    const metrics = analytics.metrics;
+    return {
+      degree: metrics.degree[v],
+      betweenness: metrics.betweenness[v],
+      component: metrics.components.labels[v]
+    };
+  }
+
+  /**
+   * Whole-graph metrics, or null before the first analysis.
+   * @returns {{ components: number, averageDegree: number, density: number,
+   *   diameter: number, diameterExact: boolean,
+   *   hubs: Array<{ id: string, label: string, degree: number }> } | null}
+   */
+  function analyticsSummary() {
+    if (!analytics) return null;
+    const metrics = analytics.metrics;
+    return {
+      components: metrics.components.count,
+      averageDegree: metrics.averageDegree,
+      density: metrics.density,
+      diameter: metrics.diameter,
+      diameterExact: metrics.diameterExact,
+      hubs: metrics.hubs.map(v => {
+        const node = analytics.vertices[v];
+        return node === coreNode
+          ? { id: CORE_NODE_ID, label: CORE_LABEL, degree: metrics.degree[v] }
+          : { id: node.userData.id, label: labelText(node), degree: metrics.degree[v] };
+      })
+    };
+  }
+
+  function analyticsChanged() {
+    emit('analyticschange', analyticsSummary());
+  }
+
+  /**
+   * Render one frame off-screen at an exact size.
+   * @param {object} [options]
+   * @param {number} [options.width] - Output width in pixels (default: canvas size)
+   * @param {number} [options.height] - Output height in pixels (default: canvas size)
+   * @param {'png'|'jpeg'|'webp'} [options.format='png']
+   * @param {number} [options.quality=0.92] - Quality for JPEG/WebP (0-1)
+   * @param {boolean} [options.transparent=false] - Drop the background (PNG/WebP)
+   * @param {boolean} [options.includeLabels=true] - Paint visible node labels
+   * @returns {Promise<Blob>} Rejects if another export is running, the size is
+   *   not a positive whole number or too big for the GPU, or the browser can't
+   *   encode the format
+   */
+  async function takeScreenshot({
+    width = renderer.domElement.width,
+    height = renderer.domElement.height,
+    format = 'png',
+    quality = 0.92,
+    transparent = false,
+    includeLabels = true
+  } = {}) {
+    if (offlineRender) throw new Error('Another export is running');
+    if (![width, height].every(value => Number.isInteger(value) && value > 0)) {
+      throw new Error('Screenshot size must be positive whole numbers');
+    }
+    const maxSize = getMaxRenderSize();
+    if (width > maxSize || height > maxSize) {
+      throw new Error(`Max render size on this GPU is ${maxSize}px`);
+    }
+
+    const output = SCREENSHOT_FORMATS[format] || SCREENSHOT_FORMATS.png;
+    const clearAlpha = transparent && output.alpha;
+
+    // Render and copy out in one task so the live loop never sees the resize,
+    // and before the WebGL buffer is discarded
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const frameContext = frameCanvas.getContext('2d');
+
+    const background = scene.background;
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+    const restoreSize = setRenderSize(width, height);
+
+    try {
+      if (clearAlpha) {
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+      }
+      renderScene();
+
+      // JPEG has no alpha channel, so flatten onto the scene background
+      if (!output.alpha) {
+        frameContext.fillStyle = `#${new THREE.Color(config.colors.background).getHexString()}`;
+        frameContext.fillRect(0, 0, width, height);
+      }
+      frameContext.drawImage(renderer.domElement, 0, 0);
+
+      // Labels live in the DOM, so they are painted onto the image separately
+      if (includeLabels) drawLabels(frameContext, width, height);
+    } finally {
+      scene.background = background;
+      renderer.setClearColor(clearColor, previousClearAlpha);
+      restoreSize();
+    }
+
+    const blob = await canvasToBlob(frameCanvas, output.mimeType, output.lossy ? quality : undefined);
+
+    // Browsers without an encoder silently fall back to PNG
+    if (blob.type !== output.mimeType) {
+      throw new Error(`${format.toUpperCase()} not supported in this browser`);
+    }
+    return blob;
+  }
+
+  // === Recording ===
+  // GIF and video takes of the live canvas. Each resolves with the finished
+  // file; 'recordingchange' reports progress while one runs. Only one export
+  // (recording or offline render) runs at a time.
+  function recordingChanged(kind, active, elapsed = 0, duration = 0) {
+    emit('recordingchange', { kind, active, elapsed, duration });
+  }
+
+  // Stop whichever recording is running; it then finishes as usual
+  function stopRecording() {
+    if (isRecording) stopGifRecording();
+    if (videoRecording) stopVideoRecording();
+  }
+
+  // === GIF Recording ===
+  // Frames are downscaled into ImageData as they are captured so memory stays
+  // proportional to the GIF size, not the canvas size. Size, rate and length
+  // are capped so a take can't pile up frames without bound.
+  const GIF_WORKERS = 2;
+  const GIF_MAX_WIDTH = 1024;
+  const GIF_MAX_FPS = 30;
+  const GIF_MAX_DURATION = 30; // Seconds
+
+  /**
+   * Capture the live canvas into a GIF.
+   * @param {object} [options]
+   * @param {number} [options.width=480] - GIF width (max 1024); height follows the
+   *   canvas aspect
+   * @param {number} [options.fps=15] - Capture rate (max 30)
+   * @param {number} [options.duration=5] - Max length in seconds (max 30)
+   * @param {number} [options.repeat=0] - Loop count (0 = forever, -1 = play once)
+   * @param {number} [options.quality=10] - gif.js palette sampling (1 = best, 30 = fastest)
+   * @returns {Promise<Blob>} Resolves once encoded, after the duration or stopRecording();
+   *   rejects right away on values that aren't positive numbers
+   */
+  function recordGif({ width = 480, fps = 15, duration = 5, repeat = 0, quality = 10 } = {}) {
+    if (isRecording || videoRecording || offlineRender) {
+      return Promise.reject(new Error('Another export is running'));
+    }
+    if (![width, fps, duration].every(value => Number.isFinite(value) && value > 0)) {
+      return Promise.reject(new Error('GIF width, frame rate and length must be positive numbers'));
+    }
+    if (!Number.isInteger(repeat) || repeat < -1 || !Number.isFinite(quality)) {
+      return Promise.reject(new Error('GIF loop count or palette quality is invalid'));
+    }
+    width = Math.min(Math.round(width), GIF_MAX_WIDTH);
+    fps = Math.min(fps, GIF_MAX_FPS);
+    duration = Math.min(duration, GIF_MAX_DURATION);
+    quality = Math.min(Math.max(Math.round(quality), 1), 30);
+    if (typeof globalThis.GIF !== 'function') {
+      return Promise.reject(new Error('GIF export needs gif.js loaded on the page'));
+    }
+
+    const source = renderer.domElement;
+    const height = Math.max(1, Math.round(width * source.height / source.width));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    return new Promise((resolve, reject) => {
+      gifRecorder = {
+        width,
+        height,
+        fps,
+        repeat,
+        quality,
+        duration,
+        resolve,
+        reject,
+        context: canvas.getContext('2d', { willReadFrequently: true }),
+        maxFrames: Math.max(1, Math.round(duration * fps)),
+        nextCaptureAt: performance.now()
+      };
+
+      isRecording = true;
+      recordedFrames = [];
+      recordingChanged('gif', true, 0, duration);
+    });
+  }
+
+  function captureFrame() {
+    if (!isRecording) return;
+
+    // Sample on wall-clock time so playback speed matches the chosen fps
+    const now = performance.now();
+    if (now < gifRecorder.nextCaptureAt) return;
+    gifRecorder.nextCaptureAt = Math.max(gifRecorder.nextCaptureAt + 1000 / gifRecorder.fps, now);
+
+    const { context, width, height } = gifRecorder;
+    context.drawImage(renderer.domElement, 0, 0, width, height);
+    recordedFrames.push(context.getImageData(0, 0, width, height));
+    recordingChanged('gif', true, recordedFrames.length / gifRecorder.fps, gifRecorder.duration);
+
+    if (recordedFrames.length >= gifRecorder.maxFrames) {
+      stopGifRecording();
+    }
+  }
+
+  function stopGifRecording() {
+    isRecording = false;
+    recordingChanged('gif', false);
+
+    if (recordedFrames.length < 5) {
+      gifRecorder.reject(new Error('Recording too short'));
+      clearRecordedFrames();
+      return;
+    }
+
+    createGif();
+  }
+
+  // Clear recorded frames to free memory
+  function clearRecordedFrames() {
+    recordedFrames = [];
+    gifRecorder = null;
+  }
+
+  function createGifEncoder({ width, height, repeat = 0, quality = 10 }) {
+    return new globalThis.GIF({
+      workers: GIF_WORKERS,
+      quality,
+      repeat,
+      width,
+      height,
+      workerScript: gifWorkerScript
+    });
+  }
+
+  // Render the queued frames, reporting progress through 'encodeprogress';
+  // rejects if the encoder is aborted
+  function encodeGif(gif) {
+    return new Promise((resolve, reject) => {
+      gif.on('progress', (progress) => {
+        emit('encodeprogress', { progress });
+      });
+      gif.on('finished', resolve);
+      gif.on('abort', () => reject(new Error('Encoding cancelled')));
+      gif.render();
+    });
+  }
+
+  function createGif() {
+    const { width, height, fps, repeat, quality, resolve, reject } = gifRecorder;
+    const gif = createGifEncoder({ width, height, repeat, quality });
+    const delay = Math.round(1000 / fps);
+
+    recordedFrames.forEach(frame => gif.addFrame(frame, { delay }));
+    clearRecordedFrames();
+
+    encodeGif(gif).then(resolve, reject);
+  }
+
+  // === Video Recording ===
+  // Records the live canvas with MediaRecorder at its native resolution
+  let videoRecording = null;
+
+  /**
+   * Record the live canvas to a video file.
+   * @param {object} [options]
+   * @param {number} [options.fps=30] - Capture frame rate
+   * @param {number} [options.duration=0] - Seconds to record, 0 = until stopRecording()
+   * @param {object} [options.format] - Entry from getSupportedVideoFormats()
+   *   (default: the first one)
+   * @returns {Promise<Blob>}
+   */
+  function recordVideo({ fps = 30, duration = 0, format = getSupportedVideoFormats()[0] } = {}) {
+    if (isRecording || videoRecording || offlineRender) {
+      return Promise.reject(new Error('Another export is running'));
+    }
+    if (!format) {
+      return Promise.reject(new Error('Video recording not supported in this browser'));
+    }
+
+    // Both throw on settings the browser can't record (mimeType, bitrate)
+    const canvas = renderer.domElement;
+    let stream = null;
+    let recorder;
+    try {
+      stream = canvas.captureStream(fps);
+      recorder = new MediaRecorder(stream, {
+        mimeType: format.mimeType,
+        videoBitsPerSecond: Math.round(canvas.width * canvas.height * fps * VIDEO_BITS_PER_PIXEL)
+      });
+    } catch (err) {
+      if (stream) stream.getTracks().forEach(track => track.stop());
+      return Promise.reject(err);
+    }
+
+    return new Promise((resolve, reject) => {
+      videoRecording = {
+        recorder,
+        stream,
+        format,
+        duration,
+        resolve,
+        reject,
+        chunks: [],
+        startTime: performance.now(),
+        timer: null,
+        discard: false
+      };
+
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) videoRecording.chunks.push(e.data);
+      };
+      recorder.onstop = onVideoRecordingStopped;
+      try {
+        recorder.start(1000); // Flush a chunk every second so long takes don't pile up
+      } catch (err) {
+        stream.getTracks().forEach(track => track.stop());
+        videoRecording = null;
+        reject(err);
+        return;
+      }
+
+      videoRecording.timer = setInterval(updateVideoTimer, 250);
+      updateVideoTimer();
+    });
+  }
+
+  // Reports elapsed time; also enforces the duration
+  function updateVideoTimer() {
+    if (!videoRecording) return;
+
+    const elapsed = (performance.now() - videoRecording.startTime) / 1000;
+    recordingChanged('video', true, elapsed, videoRecording.duration);
+
+    if (videoRecording.duration > 0 && elapsed >= videoRecording.duration) {
+      stopVideoRecording();
+    }
+  }
+
+  function stopVideoRecording() {
+    if (!videoRecording || videoRecording.recorder.state === 'inactive') return;
+
+    clearInterval(videoRecording.timer);
+    videoRecording.recorder.stop();
+  }
+
+  function onVideoRecordingStopped() {
+    const { chunks, format, stream, timer, discard, resolve, reject } = videoRecording;
+    clearInterval(timer);
+    stream.getTracks().forEach(track => track.stop());
+    videoRecording = null;
+    recordingChanged('video', false);
+
+    if (discard) {
+      reject(new Error('Recording cancelled'));
+    } else if (chunks.length === 0) {
+      reject(new Error('Recording too short'));
+    } else {
+      resolve(new Blob(chunks, { type: format.mimeType.split(';')[0] }));
+    }
+  }
+
+  // === Render Size ===
+  /**
+   * Resize the renderer, composer, bloom and camera to an exact pixel size,
+   * independent of the container. Returns a function that restores it.
+   */
+  function setRenderSize(width, height) {
+    const pixelRatio = renderer.getPixelRatio();
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false); // Keep the on-page CSS size
+    if (composer) {
+      composer.setPixelRatio(1);
+      composer.setSize(width, height);
+    }
+    if (bloomPass) {
+      bloomPass.resolution.set(width, height);
+    }
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    return () => {
+      renderer.setPixelRatio(pixelRatio);
+      if (composer) composer.setPixelRatio(pixelRatio);
+      onResize();
+    };
+  }
+
+  function getMaxRenderSize() {
+    const gl = renderer.getContext();
+    return Math.min(
+      renderer.capabilities.maxTextureSize,
+      gl.getParameter(gl.MAX_RENDERBUFFER_SIZE)
+    );
+  }
+
+  // === Offline Rendering ===
+  // Pauses the live loop and renders frames at an exact resolution, advancing
+  // the simulation by fixed ticks per frame so nothing is dropped however slow
+  // each frame is. Frames go to a PNG-sequence ZIP, the GIF encoder or a video.
+  let offlineRender = null;
+
+  // Frame sinks: { addFrame(canvas, index), finish() -> Blob, abort(), extension };
+  // abort() releases whatever the sink holds when a render is cancelled or fails
+  function createZipSink() {
+    const zip = createZipWriter();
+    return {
+      extension: 'zip',
+      async addFrame(canvas, index) {
+        const blob = await canvasToBlob(canvas, 'image/png');
+        await zip.addFile(`frame-${String(index + 1).padStart(5, '0')}.png`, blob);
+      },
+      async finish() {
+        return zip.finish();
+      },
+      abort() {}
+    };
+  }
+
+  // Frames are downscaled to GIF_MAX_WIDTH as they come in, like recordGif()
+  function createGifSink(width, height, fps) {
+    if (typeof globalThis.GIF !== 'function') throw new Error('GIF export needs gif.js loaded on the page');
+    const gifWidth = Math.min(width, GIF_MAX_WIDTH);
+    const gifHeight = Math.max(1, Math.round(height * gifWidth / width));
+    const gif = createGifEncoder({ width: gifWidth, height: gifHeight });
+    const delay = Math.round(1000 / fps);
+
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = gifWidth;
+    frameCanvas.height = gifHeight;
+    const context = frameCanvas.getContext('2d', { willReadFrequently: true });
+
+    return {
+      extension: 'gif',
+      async addFrame(canvas) {
+        context.drawImage(canvas, 0, 0, gifWidth, gifHeight);
+        gif.addFrame(context.getImageData(0, 0, gifWidth, gifHeight), { delay });
+      },
+      finish() {
+        return encodeGif(gif);
+      },
+      abort() {
+        gif.abort();
+      }
+    };
+  }
+
+  // MediaRecorder runs in real time, so it is resumed for exactly one frame
+  // interval per rendered frame and paused while the next one renders
+  function createVideoSink(canvas, fps) {
+    const format = getSupportedVideoFormats()[0];
+    if (!format) throw new Error('Video recording not supported in this browser');
+
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const chunks = [];
+    const recorder = new MediaRecorder(stream, {
+      mimeType: format.mimeType,
+      videoBitsPerSecond: Math.round(canvas.width * canvas.height * fps * VIDEO_BITS_PER_PIXEL)
+    });
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+
+    return {
+      extension: format.extension,
+      async addFrame() {
+        if (recorder.state === 'inactive') {
+          recorder.start();
+        } else {
+          recorder.resume();
+        }
+        track.requestFrame();
+        await wait(1000 / fps);
+        recorder.pause();
+      },
+      finish() {
+        return new Promise(resolve => {
+          recorder.onstop = () => {
+            track.stop();
+            resolve(new Blob(chunks, { type: format.mimeType.split(';')[0] }));
+          };
+          recorder.stop();
+        });
+      },
+      abort() {
+        if (recorder.state !== 'inactive') recorder.stop();
+        track.stop();
+      }
+    };
+  }
+
+  /**
+   * Render a fixed-length clip offline.
+   * @param {object} options
+   * @param {number} options.width - Output width in pixels
+   * @param {number} options.height - Output height in pixels
+   * @param {number} options.fps - Output frame rate
+   * @param {number} options.duration - Clip length in seconds
+   * @param {'zip'|'gif'|'video'} options.output - Where frames go; GIFs are
+   *   scaled down to 1024px wide and limited to 30 fps and 30 seconds
+   * @returns {Promise<{ blob: Blob, extension: string } | null>} The clip, or
+   *   null if cancelled; rejects on bad options, or if it can't start or a
+   *   frame fails
+   */
+  async function renderOffline({ width, height, fps, duration, output }) {
+    if (offlineRender || isRecording || videoRecording) {
+      throw new Error('Another export is running');
+    }
+    if (![width, height, fps].every(value => Number.isInteger(value) && value > 0)) {
+      throw new Error('Render size and frame rate must be positive whole numbers');
+    }
+    if (!(Number.isFinite(duration) && duration > 0)) {
+      throw new Error('Render length must be a positive number');
+    }
+    if (!['zip', 'gif', 'video'].includes(output)) {
+      throw new Error(`Unknown render output "${output}"`);
+    }
+    if (output === 'gif' && (fps > GIF_MAX_FPS || duration > GIF_MAX_DURATION)) {
+      throw new Error(`GIF renders are limited to ${GIF_MAX_FPS} fps and ${GIF_MAX_DURATION} seconds`);
+    }
+    const maxSize = getMaxRenderSize();
+    if (width > maxSize || height > maxSize) {
+      throw new Error(`Max render size on this GPU is ${maxSize}px`);
+    }
+
+    offlineRender = { cancelled: false, sink: null };
+
+    // Pause the live loop and user input
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
+    controls.enabled = false;
+    const restoreSize = setRenderSize(width, height);
+
+    // Frames are copied to a 2D canvas straight after rendering, since the
+    // WebGL buffer is not preserved once we yield to the browser
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const frameContext = frameCanvas.getContext('2d');
+
+    const totalFrames = Math.max(1, Math.round(duration * fps));
+    const ticksPerFrame = TICKS_PER_SECOND / fps;
+    let tickBudget = 0;
+    let result = null;
+    let error = null;
+
+    renderProgress(0, totalFrames);
+
+    try {
+      const sink = output === 'zip' ? createZipSink()
+        : output === 'gif' ? createGifSink(width, height, fps)
+        : createVideoSink(frameCanvas, fps);
+      offlineRender.sink = sink;
+
+      for (let frame = 0; frame < totalFrames; frame++) {
+        if (offlineRender.cancelled) break;
+
+        // Advance exactly the scene time this frame covers
+        if (frame > 0) {
+          tickBudget += ticksPerFrame;
+          while (tickBudget >= 1) {
+            stepSimulation();
+            tickBudget -= 1;
+          }
+        }
+
+        renderScene();
+        frameContext.drawImage(renderer.domElement, 0, 0);
+        await sink.addFrame(frameCanvas, frame);
+
+        renderProgress(frame + 1, totalFrames);
+        await nextTask();
+      }
+
+      if (!offlineRender.cancelled) {
+        renderProgress(totalFrames, totalFrames, 'Encoding...');
+        result = { blob: await sink.finish(), extension: sink.extension };
+      }
+    } catch (err) {
+      error = err;
+      offlineRender.sink?.abort();
+    }
+
+    // destroy() cancelled it and has already released everything
+    if (destroyed) return null;
+
+    // Resume the live loop
+    const cancelled = offlineRender.cancelled;
+    offlineRender = null;
+    restoreSize();
+    controls.enabled = true;
+    emit('renderprogress', null);
+    animate();
+
+    // Once cancelled, a frame or encode cut short by abort() is no failure
+    if (cancelled) return null;
+    if (error) throw error;
+    return result;
+  }
+
+  function renderProgress(done, total, label = 'Rendering') {
+    emit('renderprogress', { done, total, label });
+  }
+
+  function cancelOfflineRender() {
+    if (!offlineRender || offlineRender.cancelled) return;
+    offlineRender.cancelled = true;
+    offlineRender.sink?.abort();
+  }
+
+  // === Live Stream ===
+  /*
+   * Drives the graph from a WebSocket (ws://, wss://) or Server-Sent Events
+   * (http://, https://) endpoint. Each message is one JSON event or an array
+   * of them:
+   *
+   *   { "op": "graph", "graph": { "nodes": [...], "edges": [...] } }  // replace the graph
+   *   { "op": "addNode", "node": { "id": "web-01", "type": "server" } }
+   *   { "op": "removeNode", "id": "web-01" }
+   *   { "op": "updateNode", "id": "web-01", "label": "Web", "type": "gateway",
+   *     "color": "#02d7f2", "position": [1, 2, 3] }                  // any subset
+   *   { "op": "addEdge", "source": "web-01", "target": "db-01", "weight": 1 }
+   *   { "op": "removeEdge", "source": "web-01", "target": "db-01" }
+   *   { "op": "pulse", "source": "web-01", "target": "db-01" }      // along an edge
+   *
+   * Graphs and nodes use the Graph Data schema; "core" names the central hub in
+   * edges and pulses. Stream edits bypass undo; adding or removing nodes or
+   * edges clears the history since its entries would point at shifted indices
+   * or links the stream changed. Random pulses pause while a stream is live. Dropped connections retry with exponential
+   * backoff. tools/mock-stream-server.mjs serves both transports locally.
+   */
+  const STREAM_BACKOFF_MIN = 1000;  // ms
+  const STREAM_BACKOFF_MAX = 30000;
+
+  const liveStream = {
+    url: null,
+    source: null,       // WebSocket or EventSource
+    state: 'off',       // off | connecting | live | retrying
+    retryTimer: null,
+    retryDelay: STREAM_BACKOFF_MIN,
+    messages: 0,
+    errors: 0
+  };
+
+  /**
+   * Connect to an event stream, replacing any current one.
+   * @param {string} url - ws(s):// for WebSocket, http(s):// for SSE
+   */
+  function connectStream(url) {
+    let parsed;
+    try {
+      parsed = new URL(url, window.location.href);
+    } catch (err) {
+      throw new Error(`Invalid stream URL "${url}"`);
+    }
+    if (!['ws:', 'wss:', 'http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Stream URL must start with ws://, wss://, http:// or https://');
+    }
+
+    disconnectStream();
+    liveStream.url = parsed.href;
+    liveStream.messages = 0;
+    liveStream.errors = 0;
+    liveStream.retryDelay = STREAM_BACKOFF_MIN;
+    openStream();
+  }
+
+  function disconnectStream() {
+    clearTimeout(liveStream.retryTimer);
+    liveStream.retryTimer = null;
+    if (liveStream.source) closeStreamSource(liveStream.source);
+    liveStream.source = null;
+    liveStream.state = 'off';
+    streamChanged();
+  }
+
+  function streamState() {
+    const { url, state, messages, errors, retryDelay } = liveStream;
+    return { url, state, messages, errors, retryDelay };
+  }
+
+  function streamChanged() {
+    emit('streamchange', streamState());
+  }
+
+  function openStream() {
+    const isSocket = /^wss?:/.test(liveStream.url);
+    const source = isSocket ? new WebSocket(liveStream.url) : new EventSource(liveStream.url);
+    liveStream.source = source;
+    liveStream.state = 'connecting';
+
+    source.onopen = () => {
+      liveStream.state = 'live';
+      liveStream.retryDelay = STREAM_BACKOFF_MIN;
+      streamChanged();
+    };
+    source.onmessage = (event) => onStreamMessage(event.data);
+    // A WebSocket reports error then close; EventSource only errors
+    source.onerror = () => onStreamDropped(source);
+    if (isSocket) source.onclose = () => onStreamDropped(source);
+
+    streamChanged();
+  }
+
+  function closeStreamSource(source) {
+    source.onopen = source.onmessage = source.onerror = source.onclose = null;
+    source.close();
+  }
+
+  // Retry with exponential backoff (EventSource's own retry is bypassed)
+  function onStreamDropped(source) {
+    if (liveStream.source !== source) return;
+    closeStreamSource(source);
+    liveStream.source = null;
+    liveStream.state = 'retrying';
+    streamChanged();
+
+    liveStream.retryTimer = setTimeout(() => {
+      liveStream.retryTimer = null;
+      openStream();
+    }, liveStream.retryDelay);
+    liveStream.retryDelay = Math.min(liveStream.retryDelay * 2, STREAM_BACKOFF_MAX);
+  }
+
+  function onStreamMessage(text) {
+    let events;
+    try {
+      events = JSON.parse(text);
+    } catch (err) {
+      liveStream.errors++;
+      console.warn('Stream: message is not JSON', text);
+      streamChanged();
+      return;
+    }
+
+    // Pulses alone leave the graph as it was: no reheat, no re-analysis
+    let changed = false;
+    (Array.isArray(events) ? events : [events]).forEach(event => {
+      try {
+        if (applyStreamEvent(event)) changed = true;
+        liveStream.messages++;
+      } catch (err) {
+        liveStream.errors++;
+        console.warn(`Stream: ${err.message}`, event);
+      }
+    });
+
+    if (changed) graphChanged();
+    streamChanged();
+  }
+
+  // Connection between two nodes, either of which may be the core
+  function connectionBetween(a, b) {
+    if (a === coreNode || b === coreNode) {
+      const index = nodes.indexOf(a === coreNode ? b : a);
+      return connections.find(conn => conn.userData.toCore && conn.userData.nodeIndex === index) || null;
+    }
+    return findConnection(a, b);
+  }
+
+  // Spot on the auto-placement shell picked from the node id, so a node that
+  // comes and goes (streamed, or added without a position) keeps returning to
+  // the same place
+  function placementForId(id) {
+    let hash = 0;
+    for (let i = 0; i < id.length; i++) hash = (Math.imul(hash, 31) + id.charCodeAt(i)) | 0;
+    const place = createRandom(hash);
+    const radius = config.fieldSize * 0.65;
+    const theta = place() * Math.PI * 2;
+    const phi = Math.acos(2 * place() - 1);
+    return new THREE.Vector3(
+      radius * Math.sin(phi) * Math.cos(theta),
+      radius * Math.sin(phi) * Math.sin(theta),
+      radius * Math.cos(phi)
+    );
+  }
+
+  // Streamed nodes and links clear the undo history, since steps recorded
+  // before them could restore or drop what the stream changed. A loaded graph
+  // follows every edit so rebuilds and saved scenes keep them. Returns whether
+  // the event changed nodes, links or labels (loadGraph() reports its own).
+  function applyStreamEvent(event) {
+    if (!event || typeof event !== 'object') throw new Error('Event must be an object');
+
+    switch (event.op) {
+      case 'graph':
+        loadGraph(event.graph);
+        return false;
+
+      case 'addNode': {
+        const [data] = normalizeGraph({ nodes: [event.node] }).nodes;
+        if (findNodeById(data.id)) throw new Error(`Node "${data.id}" already exists`);
+
+        const typeColor = Object.hasOwn(NODE_TYPES, data.type) ? NODE_TYPES[data.type].color : null;
+        const position = data.position || placementForId(data.id);
+        const node = createNodeObject(position);
+        node.userData = {
+          id: data.id,
+          label: data.label,
+          type: data.type,
+          originalPosition: position.clone(),
+          phase: random() * Math.PI * 2,
+          speed: 0.5 + random() * 0.5,
+          color: data.color ?? typeColor ?? presets[currentViz].colors.primary
+        };
+        nodes.push(node);
+        clearHistory();
+        if (loadedGraph) loadedGraph.nodes.push({ ...data, position: position.clone() });
+        return true;
+      }
+
+      case 'removeNode': {
+        const node = requireNode(event.id, { allowCore: false });
+        const { id } = node.userData;
+        detachNode(node);
+        clearHistory();
+        if (loadedGraph) {
+          loadedGraph.nodes = loadedGraph.nodes.filter(n => n.id !== id);
+          loadedGraph.edges = loadedGraph.edges.filter(e => e.source !== id && e.target !== id);
+        }
+        return true;
+      }
+
+      case 'updateNode': {
+        const node = requireNode(event.id, { allowCore: false });
+        const { label, type, color, position } = event;
+        const changes = parseNodeChanges(node, { label, type, color, position });
+        applyNodeChanges(node, changes);
+        const graphNode = loadedGraph && loadedGraph.nodes.find(n => n.id === node.userData.id);
+        if (graphNode) {
+          Object.assign(graphNode, changes);
+          if (changes.position) graphNode.position = changes.position.clone();
+        }
+        return Object.keys(changes).length > 0;
+      }
+
+      case 'addEdge': {
+        const a = requireNode(event.source);
+        const b = requireNode(event.target);
+        if (a === b) throw new Error(`Edge connects "${event.source}" to itself`);
+        if (connectionBetween(a, b)) throw new Error(`Edge "${event.source}" - "${event.target}" already exists`);
+        if (event.weight !== undefined && !Number.isFinite(event.weight)) {
+          throw new Error('Edge has an invalid weight');
+        }
+
+        const weight = event.weight ?? 1;
+        const userData = a === coreNode || b === coreNode
+          ? { nodeIndex: nodes.indexOf(a === coreNode ? b : a), toCore: true, weight }
+          : { nodeIndex1: nodes.indexOf(a), nodeIndex2: nodes.indexOf(b), weight };
+        connections.push(createConnection(userData));
+        clearHistory();
+        if (loadedGraph) loadedGraph.edges.push({ source: String(event.source), target: String(event.target), weight });
+        return true;
+      }
+
+      case 'removeEdge': {
+        const conn = connectionBetween(requireNode(event.source), requireNode(event.target));
+        if (!conn) throw new Error(`No edge "${event.source}" - "${event.target}"`);
+        connections.splice(connections.indexOf(conn), 1);
+        clearHistory();
+        if (loadedGraph) {
+          const ends = [String(event.source), String(event.target)];
+          loadedGraph.edges = loadedGraph.edges.filter(e => !(ends.includes(e.source) && ends.includes(e.target)));
+        }
+        return true;
+      }
+
+      case 'pulse': {
+        const source = requireNode(event.source);
+        const conn = connectionBetween(source, requireNode(event.target));
+        if (!conn) throw new Error(`No edge "${event.source}" - "${event.target}"`);
+        launchPulse(conn, source);
+        return false;
+      }
+
+      default:
+        throw new Error(`Unknown op "${event.op}"`);
+    }
+  }
+
+  // === Presets ===
+  // The instance's preset registry: built-ins, `options.presets` and whatever
+  // the host defines later. Custom presets are marked `custom`; `transient`
+  // ones (previews, presets that came with a restored scene) are ones a host
+  // shouldn't persist.
+  function presetInfo(key) {
+    const preset = presets[key];
+    return { ...normalizePreset(preset), custom: !!preset.custom, transient: !!preset.transient };
+  }
+
+  // Copies of every preset, by key
+  function getPresets() {
+    return Object.fromEntries(Object.keys(presets).map(key => [key, presetInfo(key)]));
+  }
+
+  /**
+   * Add or replace a custom preset; throws if it is invalid or `key` names a
+   * built-in. The scene is left alone (see setPreset).
+   * @param {string} key
+   * @param {object} preset - See normalizePreset
+   * @param {object} [options]
+   * @param {boolean} [options.transient=false] - Not meant to be persisted
+   */
+  function definePreset(key, preset, { transient = false } = {}) {
+    if (presets[key] && !presets[key].custom) throw new Error(`"${key}" is a built-in preset`);
+    presets[key] = { ...normalizePreset(preset), custom: true };
+    if (transient) presets[key].transient = true;
+    emit('presetlistchange', getPresets());
+  }
+
+  // Remove a custom preset; if it is showing, the scene goes back to neural
+  function deletePreset(key) {
+    if (!presets[key]) return;
+    if (!presets[key].custom) throw new Error(`"${key}" is a built-in preset`);
+    delete presets[key];
+    emit('presetlistchange', getPresets());
+    if (currentViz === key) switchVisualization('neural');
+  }
+
+  function setPreset(key, { animate = true } = {}) {
+    if (!presets[key]) throw new Error(`Unknown preset "${key}"`);
+    switchVisualization(key, { animate });
+  }
+
+  function setTransitionDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) throw new Error('Transition duration must be a number of seconds');
+    config.transitionDuration = seconds;
+  }
+
+  // === Node API ===
+  /**
+   * Add a node the way a click does (linked to its neighbors, undoable).
+   * @param {object} [data] - Graph Data node; `id` defaults to a fresh one and
+   *   `position` to a spot picked from the id
+   * @returns {string} The node id
+   */
+  function addNode(data = {}) {
+    const [node] = normalizeGraph({ nodes: [{ ...data, id: data.id ?? generateNodeId() }] }).nodes;
+    if (findNodeById(node.id)) throw new Error(`Node "${node.id}" already exists`);
+    return spawnNode(node.position || placementForId(node.id), {
+      id: node.id,
+      label: node.label,
+      type: node.type,
+      color: node.color ?? undefined
+    });
+  }
+
+  // Delete a node and its connections (undoable)
+  function removeNode(id) {
+    deleteNode(requireNode(id, { allowCore: false }));
+  }
+
+  function getNode(id) {
+    const node = findNodeById(id);
+    return node && node !== coreNode ? nodeInfo(node) : null;
+  }
+
+  function getSelectedNode() {
+    return selectedNode ? nodeInfo(selectedNode) : null;
+  }
+
+  // Freeze the force layout, or (false) let it move again from a gentle heat
+  function setForceFrozen(frozen = true) {
+    if (frozen) {
+      freezeForceLayout();
+    } else {
+      reheatForceLayout(FORCE_REHEAT_ALPHA);
+    }
+  }
+
+  // === Events ===
+  /*
+   * Hosts follow the instance through on(event, handler):
+   *
+   *   graphchange       { nodes, connections, types }  node/connection counts,
+   *                     nodes per type key
+   *   analyticschange   analytics summary (see analyticsSummary) or null
+   *   selectionchange   node info (see nodeInfo) or null; also fires while the
+   *                     selected node is edited or moves
+   *   presetchange      { key, preset }
+   *   presetlistchange  every preset by key (see getPresets)
+   *   modechange        { mode }
+   *   forcechange       { active, frozen }
+   *   seedchange        { seed }
+   *   effectschange     { bloom, pulses, dynamicLinks, labels, metric }
+   *   layoutchange      { name }
+   *   toolchange        { tool }
+   *   historychange     { canUndo, canRedo }
+   *   streamchange      { url, state, messages, errors, retryDelay }
+   *   recordingchange   { kind: 'gif'|'video', active, elapsed, duration }
+   *   encodeprogress    { progress }  GIF encoding, 0-1
+   *   renderprogress    { done, total, label }, then null when it ends
+   *   fps               { fps }
+   *   status            { message, type }  feedback on canvas interaction
+   *                     (linking, routing, undo); type is '', 'success' or 'error'
+   *
+   * Events fired while createIceVisualizer() runs happen before anyone can
+   * listen; getState() and getStats() give the starting point.
+   */
+  const listeners = new Map(); // event -> Set of handlers
+
+  function on(event, handler) {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(handler);
+    return () => off(event, handler);
+  }
+
+  function off(event, handler) {
+    listeners.get(event)?.delete(handler);
+  }
+
+  // A throwing handler doesn't stop the others or the caller
+  function emit(event, detail) {
+    listeners.get(event)?.forEach(handler => {
+      try {
+        handler(detail);
+      } catch (err) {
+        console.error(`ICE visualizer "${event}" handler failed:`, err);
+      }
+    });
+  }
+
+  function notify(message, type = '') {
+    emit('status', { message, type });
+  }
+
+  function getState() {
+    return {
+      preset: currentViz,
+      mode: currentMode,
+      seed: currentSeed,
+      tool,
+      routeMetric,
+      newNodeType,
+      transitionDuration: config.transitionDuration,
+      effects: getEffects(),
+      history: historyState(),
+      force: { active: currentMode === 'force', frozen: forceState.frozen },
+      stream: streamState(),
+      selection: getSelectedNode()
+    };
+  }
+
+  function getStats() {
+    return { ...graphStats(), analytics: analyticsSummary() };
+  }
+
+  // === Instance ===
+  init();
+
+  // Once destroyed, only events, reads and destroy() itself stay usable; the
+  // rest throw rather than touch disposed objects
+  function guarded(methods) {
+    return Object.fromEntries(Object.entries(methods).map(([name, method]) => [name, (...args) => {
+      if (destroyed) throw new Error(`Visualizer has been destroyed (${name})`);
+      return method(...args);
+    }]));
+  }
+
+  return {
+    on,
+    off,
+    destroy,
+    getState,
+    getStats,
+
+    ...guarded({
+      // Presets and look
+      getPresets,
+      definePreset,
+      deletePreset,
+      setPreset,
+      setTransitionDuration,
+      setMode: setAnimationMode,
+      setSeed: rerollSeed,
+      getEffects,
+      setEffects,
+      applyLayout,
+      reheatForceLayout,
+      freezeForceLayout: setForceFrozen,
+      reset: resetScene,
+
+      // Graph
+      loadGraph,
+      exportGraph,
+      addNode,
+      removeNode,
+      updateNode,
+      getNode,
+      selectNode: id => selectNode(id === null || id === undefined ? null : requireNode(id, { allowCore: false })),
+      getSelectedNode,
+      undo,
+      redo,
+      setTool,
+      setNewNodeType,
+      route,
+      setRouteMetric,
+
+      // Scenes
+      serializeScene,
+      restoreScene,
+
+      // Live stream
+      connectStream,
+      disconnectStream,
+
+      // Export
+      screenshot: takeScreenshot,
+      recordGif,
+      recordVideo,
+      stopRecording,
+      renderOffline,
+      cancelRender: cancelOfflineRender
+    })
+  };
+}
+
+// === Public API ===
+export {
+  ANIMATION_MODES,
+  TOOLS,
+  NODE_TYPES,
+  CORE_NODE_ID,
+  SCENE_FORMAT,
+  SCREENSHOT_FORMATS,
+  PRESET_FIELDS,
+  PRESET_COLOR_KEYS,
+  LAYOUTS,
+  parseColor,
+  colorToCss,
+  normalizePreset,
+  presetFieldsFor,
+  getSupportedVideoFormats
+};
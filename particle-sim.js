@@ -0,0 +1,268 @@
+/**
+ * ICE VISUALIZER - Particle Simulation
+ * Pure particle physics shared by the main thread and particle-worker.js.
+ * No Three.js here: everything works on flat xyz Float32Arrays.
+ */
+
+// mulberry32 - tiny 32-bit PRNG returning floats in [0, 1)
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Advance particle physics one tick in place.
+ * @param {object} params - Preset (behavior plus behavior-specific fields)
+ * @param {Float32Array} positions - xyz per particle
+ * @param {Float32Array} [velocities] - xyz per particle
+ * @param {function} random - Seeded generator for respawns/turbulence
+ */
+export function stepParticles(params, positions, velocities, random) {
+  switch (params.behavior) {
+    case 'matrix':
+      // Matrix rain falling effect
+      for (let i = 0; i < positions.length; i += 3) {
+        positions[i + 1] += velocities ? velocities[i + 1] : -0.03;
+        // Reset to top when below threshold
+        if (positions[i + 1] < -10) {
+          positions[i + 1] = 15;
+          positions[i] = (random() - 0.5) * 20;
+          positions[i + 2] = (random() - 0.5) * 20;
+        }
+      }
+      break;
+      
+    case 'storm':
+      // Chaotic storm movement
+      if (!velocities) break;
+      for (let i = 0; i < positions.length; i += 3) {
+        positions[i] += velocities[i];
+        positions[i + 1] += velocities[i + 1];
+        positions[i + 2] += velocities[i + 2];
+        
+        // Bounce off bounds
+        const radius = Math.sqrt(positions[i]**2 + positions[i+1]**2 + positions[i+2]**2);
+        if (radius > 15) {
+          velocities[i] *= -0.8;
+          velocities[i + 1] *= -0.8;
+          velocities[i + 2] *= -0.8;
+        }
+        
+        // Add some turbulence
+        velocities[i] += (random() - 0.5) * 0.001;
+        velocities[i + 1] += (random() - 0.5) * 0.001;
+        velocities[i + 2] += (random() - 0.5) * 0.001;
+      }
+      break;
+      
+    case 'swarm':
+      // Flocking behavior (boids)
+      if (velocities) stepSwarm(positions, velocities, params);
+      break;
+  }
+}
+
+/**
+ * Pull particles toward the mouse's world position.
+ * @param {Float32Array} positions - xyz per particle
+ * @param {{x: number, y: number, z: number}} mouse - Mouse on the z=0 plane
+ * @param {number} strength - Gravity multiplier
+ */
+export function applyMouseGravity(positions, mouse, strength) {
+  for (let i = 0; i < positions.length; i += 3) {
+    const dx = mouse.x - positions[i];
+    const dy = mouse.y - positions[i + 1];
+    const dz = mouse.z - positions[i + 2];
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    
+    if (dist < 5 && dist > 0.1) {
+      const force = strength * 0.01 / (dist * dist);
+      positions[i] += dx * force;
+      positions[i + 1] += dy * force;
+      positions[i + 2] += dz * force;
+    }
+  }
+}
+
+// === Swarm Simulation ===
+// Boids with neighbors found through a uniform grid of perceptionRadius-sized
+// cells, so each boid only checks the 27 cells around it instead of every
+// other boid. Cells are bucketed with a counting sort into flat typed arrays
+// that are reused between frames.
+const SWARM_MAX_GRID_DIM = 64; // Stray boids are clamped into edge cells
+const SWARM_MAX_FORCE = 0.001;
+
+const swarmGrid = {
+  cellOf: new Int32Array(0),   // Cell index per boid
+  sorted: new Int32Array(0),   // Boid indices ordered by cell
+  cellStart: new Int32Array(0) // Offset of each cell in `sorted` (+1 sentinel)
+};
+
+function buildSwarmGrid(positions, count, cellSize) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (let i = 0; i < count * 3; i += 3) {
+    if (positions[i] < minX) minX = positions[i];
+    if (positions[i] > maxX) maxX = positions[i];
+    if (positions[i + 1] < minY) minY = positions[i + 1];
+    if (positions[i + 1] > maxY) maxY = positions[i + 1];
+    if (positions[i + 2] < minZ) minZ = positions[i + 2];
+    if (positions[i + 2] > maxZ) maxZ = positions[i + 2];
+  }
+  
+  const dimX = Math.min(SWARM_MAX_GRID_DIM, Math.floor((maxX - minX) / cellSize) + 1);
+  const dimY = Math.min(SWARM_MAX_GRID_DIM, Math.floor((maxY - minY) / cellSize) + 1);
+  const dimZ = Math.min(SWARM_MAX_GRID_DIM, Math.floor((maxZ - minZ) / cellSize) + 1);
+  const cellCount = dimX * dimY * dimZ;
+  
+  if (swarmGrid.cellOf.length < count) {
+    swarmGrid.cellOf = new Int32Array(count);
+    swarmGrid.sorted = new Int32Array(count);
+  }
+  if (swarmGrid.cellStart.length < cellCount + 1) {
+    swarmGrid.cellStart = new Int32Array(cellCount + 1);
+  }
+  const { cellOf, sorted, cellStart } = swarmGrid;
+  cellStart.fill(0, 0, cellCount + 1);
+  
+  // Count boids per cell, prefix-sum into offsets, then scatter
+  for (let b = 0; b < count; b++) {
+    const cx = Math.min(dimX - 1, Math.floor((positions[b * 3] - minX) / cellSize));
+    const cy = Math.min(dimY - 1, Math.floor((positions[b * 3 + 1] - minY) / cellSize));
+    const cz = Math.min(dimZ - 1, Math.floor((positions[b * 3 + 2] - minZ) / cellSize));
+    const cell = cx + dimX * (cy + dimY * cz);
+    cellOf[b] = cell;
+    cellStart[cell + 1]++;
+  }
+  for (let c = 0; c < cellCount; c++) {
+    cellStart[c + 1] += cellStart[c];
+  }
+  const fill = cellStart.slice(0, cellCount);
+  for (let b = 0; b < count; b++) {
+    sorted[fill[cellOf[b]]++] = b;
+  }
+  
+  return { dimX, dimY, dimZ };
+}
+
+/**
+ * Advance the flock one tick in place.
+ * @param {Float32Array} positions - xyz per boid
+ * @param {Float32Array} velocities - xyz per boid
+ * @param {object} params - Swarm preset fields (perceptionRadius, weights, maxSpeed)
+ */
+export function stepSwarm(positions, velocities, params) {
+  const count = positions.length / 3;
+  if (count === 0) return;
+  
+  const perceptionRadius = params.perceptionRadius ?? 3;
+  const separationDist = perceptionRadius / 3;
+  const separationWeight = (params.separationWeight ?? 2) * SWARM_MAX_FORCE;
+  const alignmentWeight = (params.alignmentWeight ?? 1) * SWARM_MAX_FORCE;
+  const cohesionWeight = (params.cohesionWeight ?? 0.5) * SWARM_MAX_FORCE;
+  const maxSpeed = params.maxSpeed ?? 0.03;
+  
+  const { dimX, dimY, dimZ } = buildSwarmGrid(positions, count, perceptionRadius);
+  const { cellOf, sorted, cellStart } = swarmGrid;
+  
+  for (let b = 0; b < count; b++) {
+    const i = b * 3;
+    
+    // Current position and velocity
+    const px = positions[i], py = positions[i + 1], pz = positions[i + 2];
+    let vx = velocities[i], vy = velocities[i + 1], vz = velocities[i + 2];
+    
+    // Flocking forces
+    let sepX = 0, sepY = 0, sepZ = 0, sepCount = 0;
+    let alignX = 0, alignY = 0, alignZ = 0;
+    let cohX = 0, cohY = 0, cohZ = 0;
+    let neighborCount = 0;
+    
+    // Visit this boid's cell and its 26 neighbors
+    const cell = cellOf[b];
+    const cx = cell % dimX;
+    const cy = Math.floor(cell / dimX) % dimY;
+    const cz = Math.floor(cell / (dimX * dimY));
+    
+    for (let z = Math.max(0, cz - 1); z <= Math.min(dimZ - 1, cz + 1); z++) {
+      for (let y = Math.max(0, cy - 1); y <= Math.min(dimY - 1, cy + 1); y++) {
+        for (let x = Math.max(0, cx - 1); x <= Math.min(dimX - 1, cx + 1); x++) {
+          const c = x + dimX * (y + dimY * z);
+          for (let k = cellStart[c]; k < cellStart[c + 1]; k++) {
+            const j = sorted[k] * 3;
+            if (j === i) continue;
+            
+            const dx = positions[j] - px;
+            const dy = positions[j + 1] - py;
+            const dz = positions[j + 2] - pz;
+            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            
+            if (dist < perceptionRadius && dist > 0) {
+              // Separation
+              if (dist < separationDist) {
+                sepX -= dx / dist;
+                sepY -= dy / dist;
+                sepZ -= dz / dist;
+                sepCount++;
+              }
+              // Alignment
+              alignX += velocities[j];
+              alignY += velocities[j + 1];
+              alignZ += velocities[j + 2];
+              // Cohesion
+              cohX += positions[j];
+              cohY += positions[j + 1];
+              cohZ += positions[j + 2];
+              neighborCount++;
+            }
+          }
+        }
+      }
+    }
+    
+    // Apply forces
+    if (sepCount > 0) {
+      vx += (sepX / sepCount) * separationWeight;
+      vy += (sepY / sepCount) * separationWeight;
+      vz += (sepZ / sepCount) * separationWeight;
+    }
+    if (neighborCount > 0) {
+      vx += ((alignX / neighborCount) - vx) * alignmentWeight;
+      vy += ((alignY / neighborCount) - vy) * alignmentWeight;
+      vz += ((alignZ / neighborCount) - vz) * alignmentWeight;
+      
+      vx += (cohX / neighborCount - px) * cohesionWeight;
+      vy += (cohY / neighborCount - py) * cohesionWeight;
+      vz += (cohZ / neighborCount - pz) * cohesionWeight;
+    }
+    
+    // Soft boundary - steer back toward center
+    const distFromCenter = Math.sqrt(px * px + py * py + pz * pz);
+    if (distFromCenter > 18) {
+      vx -= px * 0.0003;
+      vy -= py * 0.0003;
+      vz -= pz * 0.0003;
+    }
+    
+    // Limit speed
+    const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
+    if (speed > maxSpeed) {
+      vx = (vx / speed) * maxSpeed;
+      vy = (vy / speed) * maxSpeed;
+      vz = (vz / speed) * maxSpeed;
+    }
+    
+    // Update velocity and position
+    velocities[i] = vx;
+    velocities[i + 1] = vy;
+    velocities[i + 2] = vz;
+    positions[i] += vx;
+    positions[i + 1] += vy;
+    positions[i + 2] += vz;
+  }
+}
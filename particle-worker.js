@@ -0,0 +1,53 @@
+/**
+ * ICE VISUALIZER - Particle Worker
+ * Owns the particle position/velocity buffers and steps them off the main
+ * thread. Protocol (see Particle Worker in ice-visualizer.js):
+ *   in:  { type: 'init', generation, params, seed, positions, velocities, shared }
+ *        { type: 'tick', ticks, mouse, mouseStrength }
+ *   out: { type: 'frame', generation, positions?, velocities? }
+ * In shared mode the buffers are SharedArrayBuffers (the main thread's
+ * geometry arrays sit on the same memory) and frames carry no data. The main
+ * thread re-inits on preset changes and terminates the worker to stop it.
+ */
+
+import { createRandom, stepParticles, applyMouseGravity } from './particle-sim.js';
+
+let state = null;
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      state = {
+        generation: data.generation,
+        params: data.params,
+        random: createRandom(data.seed),
+        positions: new Float32Array(data.positions),
+        velocities: data.velocities ? new Float32Array(data.velocities) : null,
+        shared: data.shared
+      };
+      break;
+      
+    case 'tick': {
+      if (!state) return;
+      const { params, positions, velocities, random } = state;
+      
+      for (let t = 0; t < data.ticks; t++) {
+        stepParticles(params, positions, velocities, random);
+        applyMouseGravity(positions, data.mouse, data.mouseStrength);
+      }
+      
+      if (state.shared) {
+        self.postMessage({ type: 'frame', generation: state.generation });
+      } else {
+        // Hand back copies so the worker keeps ownership of its buffers
+        const positionsOut = positions.slice();
+        const velocitiesOut = velocities ? velocities.slice() : null;
+        self.postMessage(
+          { type: 'frame', generation: state.generation, positions: positionsOut, velocities: velocitiesOut },
+          velocitiesOut ? [positionsOut.buffer, velocitiesOut.buffer] : [positionsOut.buffer]
+        );
+      }
+      break;
+    }
+  }
+};
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * ICE VISUALIZER - Mock Event Stream
+ * Local stand-in for a monitoring pipeline, speaking the Live Stream protocol
+ * documented in ice-visualizer.js over both WebSocket and Server-Sent Events. No
+ * dependencies; needs Node 18+.
+ *
+ *   node tools/mock-stream-server.mjs [--port=8787] [--interval=400]
+ *
+ * Then connect the visualizer to ws://localhost:8787 (WebSocket) or
+ * http://localhost:8787/events (SSE), e.g. index.html?stream=ws://localhost:8787
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  return [key, value];
+}));
+const PORT = Number(args.port) || 8787;
+const INTERVAL = Number(args.interval) || 400; // ms between events
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// === Simulated Network ===
+const world = { nodes: new Map(), edges: [], nextId: 1 };
+
+const pick = list => list[Math.floor(Math.random() * list.length)];
+
+function addWorldNode(type, prefix) {
+  const id = `${prefix}-${String(world.nextId++).padStart(2, '0')}`;
+  const node = { id, label: id.toUpperCase(), type };
+  world.nodes.set(id, node);
+  return node;
+}
+
+function addWorldEdge(source, target) {
+  const edge = { source, target };
+  world.edges.push(edge);
+  return edge;
+}
+
+function buildWorld() {
+  const gateways = [1, 2].map(() => addWorldNode('gateway', 'gw'));
+  gateways.forEach(gw => addWorldEdge('core', gw.id));
+
+  gateways.forEach(gw => {
+    const firewall = addWorldNode('firewall', 'fw');
+    addWorldEdge(gw.id, firewall.id);
+    for (let i = 0; i < 4; i++) {
+      const server = addWorldNode('server', 'srv');
+      addWorldEdge(firewall.id, server.id);
+      if (i % 2 === 0) {
+        const vault = addWorldNode('vault', 'db');
+        addWorldEdge(server.id, vault.id);
+      }
+    }
+  });
+
+  for (let i = 0; i < 3; i++) {
+    const sentry = addWorldNode('sentry', 'sen');
+    addWorldEdge(sentry.id, pick(gateways).id);
+  }
+}
+
+function snapshot() {
+  return { op: 'graph', graph: { nodes: [...world.nodes.values()], edges: world.edges } };
+}
+
+// One random change or pulse, applied to the world so late joiners agree
+function nextEvent() {
+  const roll = Math.random();
+  const servers = [...world.nodes.values()].filter(n => n.type === 'server');
+
+  if (roll < 0.7 && world.edges.length > 0) {
+    const edge = pick(world.edges);
+    const forward = Math.random() < 0.5;
+    return { op: 'pulse', source: forward ? edge.source : edge.target, target: forward ? edge.target : edge.source };
+  }
+
+  if (roll < 0.8 && servers.length > 0) {
+    const server = pick(servers);
+    server.label = `${server.id.toUpperCase()} ${Math.floor(Math.random() * 100)}%`;
+    return { op: 'updateNode', id: server.id, label: server.label };
+  }
+
+  // Short-lived workers come and go
+  const workers = [...world.nodes.values()].filter(n => n.id.startsWith('wrk-'));
+  if (roll < 0.9 && workers.length < 6 && servers.length > 0) {
+    const worker = addWorldNode('default', 'wrk');
+    const edge = addWorldEdge(pick(servers).id, worker.id);
+    return [
+      { op: 'addNode', node: worker },
+      { op: 'addEdge', source: edge.source, target: edge.target }
+    ];
+  }
+
+  if (workers.length > 0) {
+    const worker = pick(workers);
+    world.nodes.delete(worker.id);
+    world.edges = world.edges.filter(e => e.source !== worker.id && e.target !== worker.id);
+    return { op: 'removeNode', id: worker.id };
+  }
+
+  return null;
+}
+
+// === Transports ===
+const clients = new Set(); // { send(text), close() }
+
+function broadcast(message) {
+  const text = JSON.stringify(message);
+  clients.forEach(client => client.send(text));
+}
+
+function openSse(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  const client = {
+    send: text => res.write(`data: ${text}\n\n`),
+    close: () => res.end()
+  };
+  clients.add(client);
+  req.on('close', () => clients.delete(client));
+  client.send(JSON.stringify(snapshot()));
+  console.log(`SSE client connected (${clients.size} total)`);
+}
+
+// Server-to-client text frame (unmasked)
+function wsFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function openWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const client = {
+    send: text => socket.write(wsFrame(text)),
+    close: () => socket.end(wsFrame('', 0x8))
+  };
+  clients.add(client);
+  socket.on('close', () => clients.delete(client));
+  socket.on('error', () => clients.delete(client));
+
+  // Only control frames matter: answer pings, honor close
+  let buffered = Buffer.alloc(0);
+  socket.on('data', chunk => {
+    buffered = Buffer.concat([buffered, chunk]);
+    while (buffered.length >= 2) {
+      const opcode = buffered[0] & 0x0f;
+      let length = buffered[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffered.length < 4) return;
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) return;
+        length = Number(buffered.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const masked = (buffered[1] & 0x80) !== 0;
+      const end = offset + (masked ? 4 : 0) + length;
+      if (buffered.length < end) return;
+
+      const payload = buffered.subarray(end - length, end);
+      if (masked) {
+        const mask = buffered.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      }
+      buffered = buffered.subarray(end);
+
+      if (opcode === 0x8) {
+        client.close();
+        return;
+      }
+      if (opcode === 0x9) socket.write(wsFrame(payload.toString(), 0xa));
+    }
+  });
+
+  client.send(JSON.stringify(snapshot()));
+  console.log(`WebSocket client connected (${clients.size} total)`);
+}
+
+// === Start ===
+buildWorld();
+
+const server = createServer((req, res) => {
+  if (req.headers.accept === 'text/event-stream' || req.url.startsWith('/events')) {
+    openSse(req, res);
+  } else {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ICE mock stream: connect with WebSocket, or SSE at /events\n');
+  }
+});
+server.on('upgrade', (req, socket) => openWebSocket(req, socket));
+
+const timer = setInterval(() => {
+  const event = nextEvent();
+  if (event && clients.size > 0) broadcast(event);
+}, INTERVAL);
+
+server.listen(PORT, () => {
+  console.log(`ICE mock stream on ws://localhost:${PORT} and http://localhost:${PORT}/events`);
+});
+
+process.on('SIGINT', () => {
+  clearInterval(timer);
+  clients.forEach(client => client.close());
+  server.close(() => process.exit(0));
+});